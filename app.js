@@ -1,3 +1,10 @@
+    // Fragment HTML déjà échappé, produit par app.html
+    class SafeHtml {
+      constructor(html) {
+        this.html = html;
+      }
+    }
+
     const app = {
       state: {
         user: null,
@@ -5,25 +12,153 @@
         sessions: [],
         clubs: [],
         pushSubscription: null,
-        vapidPublicKey: null
+        vapidPublicKey: null,
+        history: [],
+        historyHasMore: false,
+        templates: [],
+        invites: [],
+        devices: [],
+        adminUsers: [],
+        auditLog: [],
+        inbox: [],
+        inboxUnread: 0,
+        liveConnected: false,
+        liveInterrupted: false
       },
       init() {
         this.cacheElements();
         this.bindEvents();
         this.loadVersion();
+        this.pendingDeepLink = this.readDeepLink();
         this.restoreAuth();
         this.startAutoRefresh();
         this.registerServiceWorker();
       },
+      // Polling de secours : inutile tant que le flux temps réel est connecté
       startAutoRefresh() {
         setInterval(() => {
-          if (this.state.user && !this.hasChatDraft()) {
+          if (this.state.user && !this.state.liveConnected) {
             this.refreshSessions();
+            this.loadInbox();
           }
         }, 60000);
       },
-      hasChatDraft() {
-        return this.$chatInput && this.$chatInput.value.length > 0;
+      closeOpenModals() {
+        if (!this.$sessionModal.classList.contains('hidden')) {
+          this.closeSessionModal();
+        }
+        if (!this.$participantsModal.classList.contains('hidden')) {
+          this.closeParticipantsModal();
+        }
+        if (!this.$chatModal.classList.contains('hidden')) {
+          this.closeChatModal();
+        }
+        if (!this.$historyModal.classList.contains('hidden')) {
+          this.closeHistoryModal();
+        }
+        if (!this.$templatesModal.classList.contains('hidden')) {
+          this.closeTemplatesModal();
+        }
+        if (!this.$devicesModal.classList.contains('hidden')) {
+          this.closeDevicesModal();
+        }
+        if (!this.$invitesModal.classList.contains('hidden')) {
+          this.closeInvitesModal();
+        }
+        if (!this.$passwordModal.classList.contains('hidden')) {
+          this.closePasswordModal();
+        }
+        if (!this.$preferencesModal.classList.contains('hidden')) {
+          this.closePreferencesModal();
+        }
+        if (!this.$adminModal.classList.contains('hidden')) {
+          this.closeAdminModal();
+        }
+        if (!this.$inboxModal.classList.contains('hidden')) {
+          this.closeInboxModal();
+        }
+      },
+      startLiveUpdates() {
+        if (!window.EventSource || this.liveSource || !this.state.user) {
+          return;
+        }
+        const source = new EventSource('/events');
+        this.liveSource = source;
+        source.addEventListener('open', () => {
+          this.state.liveConnected = true;
+          // Rattraper ce qui a changé pendant la coupure
+          if (this.state.liveInterrupted) {
+            this.state.liveInterrupted = false;
+            this.refreshSessions();
+            this.loadInbox();
+          }
+        });
+        source.addEventListener('error', () => {
+          this.state.liveConnected = false;
+          this.state.liveInterrupted = true;
+          // Le navigateur se reconnecte seul, sauf si le serveur a refusé le flux
+          if (source.readyState === EventSource.CLOSED) {
+            this.stopLiveUpdates();
+            this.state.liveInterrupted = true;
+            this.liveRetryTimer = setTimeout(() => this.startLiveUpdates(), 30000);
+          }
+        });
+        source.addEventListener('session', (event) => {
+          const { session } = JSON.parse(event.data);
+          this.applySessionUpdate(session);
+        });
+        source.addEventListener('session-deleted', (event) => {
+          const { sessionId } = JSON.parse(event.data);
+          this.applySessionDeleted(sessionId);
+        });
+        source.addEventListener('message', (event) => {
+          const { sessionId, message } = JSON.parse(event.data);
+          this.applyChatMessage(sessionId, message);
+        });
+        source.addEventListener('inbox', (event) => {
+          const { unreadCount } = JSON.parse(event.data);
+          this.setInboxUnread(unreadCount);
+          if (!this.$inboxModal.classList.contains('hidden')) {
+            this.loadInbox();
+          }
+        });
+      },
+      stopLiveUpdates() {
+        clearTimeout(this.liveRetryTimer);
+        if (this.liveSource) {
+          this.liveSource.close();
+          this.liveSource = null;
+        }
+        this.state.liveConnected = false;
+        this.state.liveInterrupted = false;
+      },
+      applySessionUpdate(session) {
+        const sessions = this.state.sessions.filter(s => s.id !== session.id);
+        sessions.push(session);
+        sessions.sort((a, b) => new Date(a.datetime).getTime() - new Date(b.datetime).getTime());
+        this.state.sessions = sessions;
+        this.renderSessions();
+        this.updateOpenChat();
+      },
+      applySessionDeleted(sessionId) {
+        this.state.sessions = this.state.sessions.filter(s => s.id !== sessionId);
+        this.renderSessions();
+        if (this.state.chatSessionId === sessionId && !this.$chatModal.classList.contains('hidden')) {
+          this.closeChatModal();
+        }
+      },
+      applyChatMessage(sessionId, message) {
+        const session = this.state.sessions.find(s => s.id === sessionId);
+        if (!session) {
+          return;
+        }
+        const messages = Array.isArray(session.messages) ? session.messages : [];
+        if (message.id && messages.some(m => m.id === message.id)) {
+          return;
+        }
+        session.messages = [...messages, message];
+        this.renderSessions();
+        this.updateOpenChat();
       },
       lockScroll() {
         const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
@@ -43,6 +178,7 @@
         this.$sessionForm = document.getElementById('session-form');
         this.$sessionCancel = document.getElementById('session-cancel');
         this.$sessionDelete = document.getElementById('session-delete');
+        this.$sessionCancellation = document.getElementById('session-cancellation');
         this.$sessionSubmit = document.getElementById('session-submit');
         this.$sessionModalTitle = document.getElementById('session-modal-title');
         this.$sessionsList = document.getElementById('sessions-list');
@@ -70,11 +206,65 @@
         this.$participantsCancel = document.getElementById('participants-cancel');
         this.$participantsSave = document.getElementById('participants-save');
         this.$notificationIcon = document.getElementById('notification-icon');
+        this.$inboxModal = document.getElementById('inbox-modal');
+        this.$inboxList = document.getElementById('inbox-list');
+        this.$inboxClose = document.getElementById('inbox-close');
+        this.$inboxMarkAll = document.getElementById('inbox-mark-all');
+        this.$inboxPushStatus = document.getElementById('inbox-push-status');
+        this.$inboxPushMessage = document.getElementById('inbox-push-message');
+        this.$inboxPushEnable = document.getElementById('inbox-push-enable');
         this.$chatModal = document.getElementById('chat-modal');
         this.$chatMessages = document.getElementById('chat-messages');
         this.$chatForm = document.getElementById('chat-form');
         this.$chatInput = document.getElementById('chat-input');
         this.$chatClose = document.getElementById('chat-close');
+        this.$historyButton = document.getElementById('history-button');
+        this.$historyModal = document.getElementById('history-modal');
+        this.$historyList = document.getElementById('history-list');
+        this.$historyMore = document.getElementById('history-more');
+        this.$historyClose = document.getElementById('history-close');
+        this.$templatesButton = document.getElementById('templates-button');
+        this.$templatesModal = document.getElementById('templates-modal');
+        this.$templatesList = document.getElementById('templates-list');
+        this.$templatesClose = document.getElementById('templates-close');
+        this.$invitesButton = document.getElementById('invites-button');
+        this.$invitesModal = document.getElementById('invites-modal');
+        this.$invitesList = document.getElementById('invites-list');
+        this.$invitesClose = document.getElementById('invites-close');
+        this.$inviteForm = document.getElementById('invite-form');
+        this.$devicesButton = document.getElementById('devices-button');
+        this.$devicesModal = document.getElementById('devices-modal');
+        this.$devicesList = document.getElementById('devices-list');
+        this.$devicesClose = document.getElementById('devices-close');
+        this.$preferencesButton = document.getElementById('preferences-button');
+        this.$preferencesModal = document.getElementById('preferences-modal');
+        this.$preferencesForm = document.getElementById('preferences-form');
+        this.$preferencesCancel = document.getElementById('preferences-cancel');
+        this.$preferencesClubs = document.getElementById('preferences-clubs');
+        this.$preferencesLevels = document.getElementById('preferences-levels');
+        this.$preferencesReminders = document.getElementById('preferences-reminders');
+        this.$preferencesEmail = document.getElementById('preferences-email');
+        this.$preferencesChannels = document.getElementById('preferences-channels');
+        this.$passwordButton = document.getElementById('password-button');
+        this.$passwordModal = document.getElementById('password-modal');
+        this.$passwordForm = document.getElementById('password-form');
+        this.$passwordCancel = document.getElementById('password-cancel');
+        this.$adminButton = document.getElementById('admin-button');
+        this.$adminModal = document.getElementById('admin-modal');
+        this.$adminClose = document.getElementById('admin-close');
+        this.$adminTabs = this.$adminModal.querySelectorAll('.admin-tabs button');
+        this.$adminUsersList = document.getElementById('admin-users-list');
+        this.$adminPurgePush = document.getElementById('admin-purge-push');
+        this.$adminClubsList = document.getElementById('admin-clubs-list');
+        this.$adminAuditList = document.getElementById('admin-audit-list');
+        this.$adminAuditMore = document.getElementById('admin-audit-more');
+        this.$clubForm = document.getElementById('club-form');
+        this.$clubSubmit = document.getElementById('club-submit');
+        this.$resetForm = document.getElementById('reset-form');
+        this.$showResetForm = document.getElementById('show-reset-form');
+        this.$hideResetForm = document.getElementById('hide-reset-form');
+        this.$sessionRecurringField = document.getElementById('session-recurring-field');
+        this.$sessionApplyFutureField = document.getElementById('session-apply-future-field');
       },
       disablePinchZoom() {
         document.addEventListener('gesturestart', (event) => event.preventDefault());
@@ -100,24 +290,88 @@
         });
 
         this.$signoutButton.addEventListener('click', () => this.signout());
+        this.$historyButton.addEventListener('click', () => {
+          this.closeDropdown();
+          this.openHistoryModal();
+        });
+        this.$historyClose.addEventListener('click', () => this.closeHistoryModal());
+        this.$historyMore.addEventListener('click', () => this.loadHistory());
+        this.$templatesButton.addEventListener('click', () => {
+          this.closeDropdown();
+          this.openTemplatesModal();
+        });
+        this.$templatesClose.addEventListener('click', () => this.closeTemplatesModal());
+        this.$invitesButton.addEventListener('click', () => {
+          this.closeDropdown();
+          this.openInvitesModal();
+        });
+        this.$invitesClose.addEventListener('click', () => this.closeInvitesModal());
+        this.$inviteForm.addEventListener('submit', (event) => {
+          event.preventDefault();
+          const formData = new FormData(this.$inviteForm);
+          this.createInvite({
+            maxUses: Number(formData.get('maxUses')),
+            expiresInDays: Number(formData.get('expiresInDays'))
+          });
+        });
+        this.$devicesButton.addEventListener('click', () => {
+          this.closeDropdown();
+          this.openDevicesModal();
+        });
+        this.$devicesClose.addEventListener('click', () => this.closeDevicesModal());
+        this.$preferencesButton.addEventListener('click', () => {
+          this.closeDropdown();
+          this.openPreferencesModal();
+        });
+        this.$preferencesCancel.addEventListener('click', () => this.closePreferencesModal());
+        this.$preferencesForm.elements.namedItem('digestFrequency').addEventListener('change', () => this.updateDigestFields());
+        this.$preferencesForm.addEventListener('submit', (event) => {
+          event.preventDefault();
+          this.savePreferences();
+        });
+        this.$passwordButton.addEventListener('click', () => {
+          this.closeDropdown();
+          this.openPasswordModal();
+        });
+        this.$passwordCancel.addEventListener('click', () => this.closePasswordModal());
+        this.$adminButton.addEventListener('click', () => {
+          this.closeDropdown();
+          this.openAdminModal();
+        });
+        this.$adminClose.addEventListener('click', () => this.closeAdminModal());
+        this.$adminTabs.forEach((button) => {
+          button.addEventListener('click', () => this.showAdminSection(button.dataset.section));
+        });
+        this.$adminPurgePush.addEventListener('click', () => this.purgePushSubscriptions());
+        this.$adminAuditMore.addEventListener('click', () => this.loadAuditLog());
+        this.$clubForm.addEventListener('submit', (event) => {
+          event.preventDefault();
+          this.saveClub();
+        });
+        this.$clubForm.addEventListener('reset', () => {
+          this.$clubSubmit.textContent = 'Ajouter';
+        });
+        // Modération du chat : suppression d'un message par un administrateur
+        this.$chatMessages.addEventListener('click', (event) => {
+          const button = event.target.closest('.chat-message-delete');
+          if (button && this.state.chatSessionId) {
+            this.deleteChatMessage(this.state.chatSessionId, button.dataset.messageId);
+          }
+        });
+        this.$showResetForm.addEventListener('click', () => this.showResetForm(true));
+        this.$hideResetForm.addEventListener('click', () => this.showResetForm(false));
         this.$notificationIcon.addEventListener('click', (e) => {
           e.stopPropagation();
-          this.handleNotificationIconClick();
+          this.openInboxModal();
         });
+        this.$inboxClose.addEventListener('click', () => this.closeInboxModal());
+        this.$inboxMarkAll.addEventListener('click', () => this.markAllInboxRead());
+        this.$inboxPushEnable.addEventListener('click', () => this.handlePushActivation());
         this.$createButton.addEventListener('click', () => this.openSessionModal());
         this.$sessionCancel.addEventListener('click', () => this.closeSessionModal());
         this.$sessionDelete.addEventListener('click', () => this.deleteSessionFromModal());
-        this.$backdrop.addEventListener('click', () => {
-          if (!this.$sessionModal.classList.contains('hidden')) {
-            this.closeSessionModal();
-          }
-          if (!this.$participantsModal.classList.contains('hidden')) {
-            this.closeParticipantsModal();
-          }
-          if (!this.$chatModal.classList.contains('hidden')) {
-            this.closeChatModal();
-          }
-        });
+        this.$sessionCancellation.addEventListener('click', () => this.cancelSessionFromModal());
+        this.$backdrop.addEventListener('click', () => this.closeOpenModals());
         this.$chatClose.addEventListener('click', () => this.closeChatModal());
         this.$chatInput.addEventListener('input', () => {
           this.$chatInput.style.height = 'auto';
@@ -170,21 +424,47 @@
             this.toast('Mot de passe trop court', true);
             return;
           }
-          this.signup({ name, password });
+          const inviteCode = (formData.get('inviteCode') || '').trim();
+          this.signup({ name, password, inviteCode });
+        });
+
+        this.$passwordForm.addEventListener('submit', (event) => {
+          event.preventDefault();
+          const formData = new FormData(this.$passwordForm);
+          const newPassword = formData.get('newPassword');
+          if (newPassword !== formData.get('confirm')) {
+            this.toast('Les mots de passe ne correspondent pas', true);
+            return;
+          }
+          this.changePassword({ currentPassword: formData.get('currentPassword'), newPassword });
+        });
+
+        this.$resetForm.addEventListener('submit', (event) => {
+          event.preventDefault();
+          const formData = new FormData(this.$resetForm);
+          const newPassword = formData.get('newPassword');
+          if (newPassword !== formData.get('confirm')) {
+            this.toast('Les mots de passe ne correspondent pas', true);
+            return;
+          }
+          this.resetPassword({ name: formData.get('name').trim(), code: formData.get('code').trim(), newPassword });
         });
 
+        this.$sessionForm.elements.namedItem('club').addEventListener('change', () => this.applyClubDefaults());
+
         this.$sessionForm.addEventListener('submit', (event) => {
           event.preventDefault();
           const formData = new FormData(this.$sessionForm);
           const sessionId = formData.get('sessionId');
-          const club = formData.get('club');
+          const templateId = formData.get('templateId');
+          const clubId = formData.get('club');
           const datetimeValue = formData.get('datetime');
           const level = formData.get('level');
           const duration = Number(formData.get('duration'));
           const capacity = Number(formData.get('capacity'));
           const price = Number(formData.get('price'));
 
-          if (!club || !datetimeValue) {
+          if (!clubId || !datetimeValue) {
             this.toast('Merci de renseigner tous les champs', true);
             return;
           }
@@ -203,7 +483,7 @@
           }
 
           const payload = {
-            club,
+            clubId,
             datetime: datetime.toISOString(),
             level,
             durationMinutes: duration,
@@ -211,10 +491,20 @@
             pricePerParticipant: price
           };
 
-          if (sessionId) {
+          if (templateId) {
+            // Mode édition d'une session récurrente
+            this.editTemplate({
+              ...this.buildTemplateSchedule(datetime, payload),
+              templateId,
+              applyToFutureSessions: formData.get('applyToFutureSessions') === 'on'
+            });
+          } else if (sessionId) {
             // Mode édition
             payload.sessionId = sessionId;
             this.editSession(payload);
+          } else if (formData.get('recurring') === 'on') {
+            // Mode création d'une session récurrente
+            this.createTemplate(this.buildTemplateSchedule(datetime, payload));
           } else {
             // Mode création
             this.createSession(payload);
@@ -224,6 +514,7 @@
         this.$authTabs.forEach((button) => {
           button.addEventListener('click', () => {
             this.$authTabs.forEach((tab) => tab.classList.toggle('active', tab === button));
+            this.$resetForm.classList.add('hidden');
             if (button.dataset.mode === 'signin') {
               this.$signinForm.classList.remove('hidden');
               this.$signupForm.classList.add('hidden');
@@ -265,16 +556,368 @@
           this._signingIn = false;
         }
       },
+      async changePassword(payload) {
+        try {
+          await this.api('/changePassword', payload);
+          this.toast('Mot de passe modifié. Vos autres appareils ont été déconnectés.');
+          this.closePasswordModal();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async resetPassword(payload) {
+        try {
+          const response = await this.api('/resetPassword', payload);
+          this.toast('Mot de passe réinitialisé');
+          this.onAuthenticated(response.user);
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async createResetCode(name) {
+        try {
+          const response = await this.api('/createResetCode', { name });
+          const expiresAt = new Intl.DateTimeFormat('fr-FR', { dateStyle: 'short', timeStyle: 'short' }).format(new Date(response.expiresAt));
+          alert(`Code pour ${response.name} : ${response.code}\nValable une seule fois, jusqu'au ${expiresAt}.`);
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async openPreferencesModal() {
+        try {
+          const response = await this.api('/notificationPreferences', null, { method: 'GET' });
+          this.renderPreferences(response.preferences, response.levels || []);
+          this.$preferencesForm.elements.namedItem('email').value = response.email || '';
+          this.$preferencesEmail.classList.toggle('hidden', !response.emailAvailable);
+          this.$preferencesModal.classList.remove('hidden');
+          this.$backdrop.classList.remove('hidden');
+          this.lockScroll();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      closePreferencesModal() {
+        this.$preferencesModal.classList.add('hidden');
+        this.$backdrop.classList.add('hidden');
+        this.unlockScroll();
+      },
+      openInboxModal() {
+        this.closeDropdown();
+        this.renderInbox();
+        this.$inboxModal.classList.remove('hidden');
+        this.$backdrop.classList.remove('hidden');
+        this.lockScroll();
+        this.loadInbox();
+      },
+      closeInboxModal() {
+        this.$inboxModal.classList.add('hidden');
+        this.$backdrop.classList.add('hidden');
+        this.unlockScroll();
+      },
+      async loadInbox() {
+        if (!this.state.user) return;
+        try {
+          const response = await this.api('/inbox', null, { method: 'GET' });
+          this.state.inbox = Array.isArray(response.items) ? response.items : [];
+          this.setInboxUnread(response.unreadCount || 0);
+          this.renderInbox();
+        } catch (err) {
+          if (!this.$inboxModal.classList.contains('hidden')) {
+            this.toast(err.message, true);
+          }
+        }
+      },
+      setInboxUnread(count) {
+        this.state.inboxUnread = count;
+        if (this.state.user) {
+          this.updateNotificationIcon();
+        }
+      },
+      renderInboxPushStatus() {
+        const status = this.getPushStatus();
+        this.$inboxPushStatus.classList.toggle('hidden', !status || status.state === 'unsupported');
+        this.$inboxPushMessage.textContent = status ? status.message : '';
+        this.$inboxPushEnable.textContent = status && status.state === 'not-installed' ? 'Installer' : 'Activer';
+        this.$inboxPushEnable.classList.toggle('hidden', !status || status.state === 'denied');
+      },
+      renderInbox() {
+        const list = this.$inboxList;
+        list.innerHTML = '';
+        const dateFormatter = new Intl.DateTimeFormat('fr-FR', { weekday: 'short', day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+        this.state.inbox.forEach((entry) => {
+          const item = document.createElement('article');
+          item.className = entry.read ? 'history-item inbox-item' : 'history-item inbox-item unread';
+
+          const title = document.createElement('div');
+          title.className = 'history-item-title';
+          const label = document.createElement('span');
+          label.textContent = entry.title;
+          const date = document.createElement('span');
+          date.className = 'history-item-date';
+          date.textContent = dateFormatter.format(new Date(entry.createdAt));
+          title.appendChild(label);
+          title.appendChild(date);
+
+          const body = document.createElement('div');
+          body.className = 'inbox-item-body';
+          body.textContent = entry.body;
+
+          item.appendChild(title);
+          item.appendChild(body);
+
+          const actions = document.createElement('div');
+          actions.className = 'template-actions';
+          // Les sessions passées ou supprimées ne sont plus dans la liste
+          if (entry.sessionId && this.state.sessions.some(s => s.id === entry.sessionId)) {
+            const showBtn = document.createElement('button');
+            showBtn.className = 'btn-primary';
+            showBtn.textContent = entry.kind === 'chat' ? 'Ouvrir le chat' : 'Voir la session';
+            showBtn.addEventListener('click', () => this.openInboxEntry(entry));
+            actions.appendChild(showBtn);
+          }
+          if (!entry.read) {
+            const readBtn = document.createElement('button');
+            readBtn.className = 'btn-secondary';
+            readBtn.textContent = 'Marquer comme lu';
+            readBtn.addEventListener('click', () => this.markInboxRead(entry.id));
+            actions.appendChild(readBtn);
+          }
+          if (actions.childElementCount > 0) {
+            item.appendChild(actions);
+          }
+          list.appendChild(item);
+        });
+        this.$inboxMarkAll.disabled = !this.state.inbox.some(entry => !entry.read);
+      },
+      async markInboxRead(id) {
+        try {
+          const response = await this.api('/markInboxRead', { id });
+          this.state.inbox = this.state.inbox.map(entry => (entry.id === id ? { ...entry, read: true } : entry));
+          this.setInboxUnread(response.unreadCount);
+          this.renderInbox();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async markAllInboxRead() {
+        try {
+          const response = await this.api('/markInboxRead', { all: true });
+          this.state.inbox = this.state.inbox.map(entry => ({ ...entry, read: true }));
+          this.setInboxUnread(response.unreadCount);
+          this.renderInbox();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      openInboxEntry(entry) {
+        if (!entry.read) {
+          this.markInboxRead(entry.id);
+        }
+        this.openSessionFromNotification(entry.sessionId, entry.kind === 'chat');
+      },
+      // Lien ouvert depuis une notification : /?session=<id>, avec &chat=1 pour ouvrir le chat
+      readDeepLink() {
+        const params = new URLSearchParams(window.location.search);
+        const sessionId = params.get('session');
+        if (!sessionId) return null;
+        window.history.replaceState(null, '', '/');
+        return { sessionId, chat: params.get('chat') === '1' };
+      },
+      openPendingDeepLink() {
+        const link = this.pendingDeepLink;
+        if (!link) return;
+        this.pendingDeepLink = null;
+        this.openSessionFromNotification(link.sessionId, link.chat);
+      },
+      async openSessionFromNotification(sessionId, chat = false) {
+        // Pas encore connecté : la session sera affichée après la connexion
+        if (!this.state.user) {
+          this.pendingDeepLink = { sessionId, chat };
+          return;
+        }
+        this.closeOpenModals();
+        if (!this.state.sessions.some(s => s.id === sessionId)) {
+          await this.refreshSessions();
+        }
+        const session = this.state.sessions.find(s => s.id === sessionId);
+        if (chat && session) {
+          this.openChatModal(session);
+          return;
+        }
+        this.showSession(sessionId);
+      },
+      // Amener une carte de session à l'écran et la mettre en évidence un instant
+      showSession(sessionId) {
+        const card = Array.from(this.$sessionsList.querySelectorAll('.session-card'))
+          .find(element => element.dataset.sessionId === sessionId);
+        if (!card) {
+          this.toast('Cette session n\'est plus disponible', true);
+          return;
+        }
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('highlighted');
+        clearTimeout(this.highlightTimer);
+        this.highlightTimer = setTimeout(() => card.classList.remove('highlighted'), 2000);
+      },
+      renderPreferenceOptions(container, name, options, selected) {
+        container.innerHTML = '';
+        options.forEach(({ value, label }) => {
+          const option = document.createElement('label');
+          option.className = 'checkbox-label';
+          const input = document.createElement('input');
+          input.type = 'checkbox';
+          input.name = name;
+          input.value = value;
+          input.checked = selected.includes(value);
+          option.appendChild(input);
+          option.appendChild(document.createTextNode(` ${label}`));
+          container.appendChild(option);
+        });
+      },
+      // Un choix push / e-mail / les deux par groupe de notifications
+      renderPreferenceChannels(channels) {
+        const groups = [
+          { key: 'newSession', label: 'Nouvelles sessions' },
+          { key: 'spotAvailable', label: 'Places libérées' },
+          { key: 'participants', label: 'Inscriptions et départs' },
+          { key: 'chat', label: 'Messages du chat' },
+          { key: 'reminders', label: 'Rappels' },
+          { key: 'sessionChanges', label: 'Modifications et annulations' },
+          { key: 'digest', label: 'Résumé' }
+        ];
+        const choices = [
+          { value: 'push', label: 'Push' },
+          { value: 'email', label: 'E-mail' },
+          { value: 'both', label: 'Les deux' }
+        ];
+        const container = this.$preferencesChannels;
+        container.innerHTML = '';
+        groups.forEach(({ key, label }) => {
+          const row = document.createElement('label');
+          row.textContent = label;
+          const select = document.createElement('select');
+          select.name = `channel-${key}`;
+          select.dataset.group = key;
+          choices.forEach(({ value, label: choiceLabel }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = choiceLabel;
+            select.appendChild(option);
+          });
+          select.value = channels[key] || 'push';
+          row.appendChild(select);
+          container.appendChild(row);
+        });
+      },
+      renderPreferences(preferences, levels) {
+        const form = this.$preferencesForm;
+        ['newSession', 'spotAvailable', 'participants', 'chat', 'reminders'].forEach((key) => {
+          form.elements.namedItem(key).checked = preferences[key];
+        });
+        const clubs = (this.state.clubs || []).map(club => ({ value: club.id, label: club.name }));
+        this.renderPreferenceOptions(this.$preferencesClubs, 'clubIds', clubs, preferences.clubIds);
+        this.renderPreferenceOptions(this.$preferencesLevels, 'levels', levels.map(level => ({ value: level, label: level })), preferences.levels);
+        // Rappels « avant » proposés, plus ceux déjà choisis qui n'en font pas partie
+        const beforeOffsets = preferences.reminderOffsets.filter(offset => offset.type === 'before').map(offset => offset.minutes);
+        const reminderChoices = [...new Set([15, 30, 45, 60, 120, 180, ...beforeOffsets])].sort((a, b) => a - b);
+        this.renderPreferenceOptions(this.$preferencesReminders, 'reminderBefore',
+          reminderChoices.map(minutes => ({ value: String(minutes), label: `${this.formatDuration(minutes)} avant` })),
+          beforeOffsets.map(String));
+        const dayBefore = preferences.reminderOffsets.find(offset => offset.type === 'dayBefore');
+        form.elements.namedItem('reminderDayBefore').checked = Boolean(dayBefore);
+        form.elements.namedItem('reminderDayBeforeTime').value = dayBefore ? dayBefore.time : '20:00';
+        form.elements.namedItem('quietHoursEnabled').checked = preferences.quietHours.enabled;
+        form.elements.namedItem('quietHoursStart').value = preferences.quietHours.start;
+        form.elements.namedItem('quietHoursEnd').value = preferences.quietHours.end;
+        form.elements.namedItem('digestFrequency').value = preferences.digest.frequency;
+        form.elements.namedItem('digestDay').value = String(preferences.digest.day);
+        form.elements.namedItem('digestTime').value = preferences.digest.time;
+        this.updateDigestFields();
+        this.renderPreferenceChannels(preferences.channels || {});
+      },
+      // Le jour ne sert qu'au résumé hebdomadaire
+      updateDigestFields() {
+        const form = this.$preferencesForm;
+        const frequency = form.elements.namedItem('digestFrequency').value;
+        form.elements.namedItem('digestDay').disabled = frequency !== 'weekly';
+        form.elements.namedItem('digestTime').disabled = frequency === 'off';
+      },
+      async savePreferences() {
+        const form = this.$preferencesForm;
+        const formData = new FormData(form);
+        const reminderOffsets = formData.getAll('reminderBefore').map(minutes => ({ type: 'before', minutes: Number(minutes) }));
+        if (form.elements.namedItem('reminderDayBefore').checked) {
+          reminderOffsets.push({ type: 'dayBefore', time: formData.get('reminderDayBeforeTime') || '20:00' });
+        }
+        const preferences = {
+          newSession: form.elements.namedItem('newSession').checked,
+          spotAvailable: form.elements.namedItem('spotAvailable').checked,
+          participants: form.elements.namedItem('participants').checked,
+          chat: form.elements.namedItem('chat').checked,
+          reminders: form.elements.namedItem('reminders').checked,
+          clubIds: formData.getAll('clubIds'),
+          levels: formData.getAll('levels'),
+          quietHours: {
+            enabled: form.elements.namedItem('quietHoursEnabled').checked,
+            start: formData.get('quietHoursStart'),
+            end: formData.get('quietHoursEnd')
+          },
+          reminderOffsets,
+          digest: {
+            frequency: form.elements.namedItem('digestFrequency').value,
+            day: Number(form.elements.namedItem('digestDay').value),
+            time: form.elements.namedItem('digestTime').value || '18:00'
+          },
+          channels: Object.fromEntries(Array.from(this.$preferencesChannels.querySelectorAll('select'))
+            .map(select => [select.dataset.group, select.value]))
+        };
+        const email = formData.get('email').trim();
+        try {
+          await this.api('/updateNotificationPreferences', { preferences, email });
+          this.toast('Préférences enregistrées');
+          this.closePreferencesModal();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      openPasswordModal() {
+        this.$passwordForm.reset();
+        this.$passwordModal.classList.remove('hidden');
+        this.$backdrop.classList.remove('hidden');
+        this.lockScroll();
+      },
+      closePasswordModal() {
+        this.$passwordModal.classList.add('hidden');
+        this.$backdrop.classList.add('hidden');
+        this.$passwordForm.reset();
+        this.unlockScroll();
+      },
+      showResetForm(visible) {
+        this.$resetForm.classList.toggle('hidden', !visible);
+        this.$signinForm.classList.toggle('hidden', visible);
+        this.$signupForm.classList.add('hidden');
+        this.$authTabs.forEach((tab) => tab.classList.toggle('active', !visible && tab.dataset.mode === 'signin'));
+        if (visible) {
+          const name = this.$signinForm.elements.namedItem('name').value.trim();
+          this.$resetForm.elements.namedItem('name').value = name;
+        }
+      },
       async signout() {
         try {
           await this.api('/signout', {});
         } catch (err) {
           // signout should not block even if request fails
         }
-        document.cookie = 'badlyAuth=; Max-Age=0; path=/';
         document.cookie = 'badlyInstallPromptSeen=; Max-Age=0; path=/';
+        this.resetAfterSignout();
+      },
+      // Le cookie de connexion est HttpOnly : le serveur l'efface lui-même
+      resetAfterSignout() {
+        this.stopLiveUpdates();
         this.state.user = null;
         this.state.sessions = [];
+        this.state.inbox = [];
+        this.state.inboxUnread = 0;
         this.renderSessions();
         this.updateUserMenu();
         this.showAuthModal();
@@ -289,7 +932,9 @@
         this.hideAuthModal();
         this.toggleFab();
         this.updateUserMenu();
-        this.refreshSessions();
+        this.refreshSessions().then(() => this.openPendingDeepLink());
+        this.loadInbox();
+        this.startLiveUpdates();
         this.checkInstallPrompt();
         this.setupPushNotifications();
       },
@@ -307,6 +952,7 @@
           return;
         }
         this.$userButton.classList.remove('hidden');
+        this.$adminButton.classList.toggle('hidden', !this.state.user.isAdmin);
         this.$userName.textContent = this.state.user.name;
         this.$userButtonLabel.textContent = this.state.user.name;
         this.updateVersionLabel();
@@ -317,31 +963,49 @@
           || window.navigator.standalone
           || document.referrer.includes('android-app://');
       },
-      updateNotificationIcon() {
-        this.$notificationIcon.classList.remove('hidden', 'denied', 'not-installed');
+      // État des notifications push sur cet appareil, null quand elles sont actives
+      getPushStatus() {
         if ('Notification' in window) {
           const permission = Notification.permission;
           if (permission === 'granted') {
-            this.$notificationIcon.classList.add('hidden');
-          } else if (permission === 'denied') {
-            this.$notificationIcon.textContent = '🔕';
-            this.$notificationIcon.classList.add('denied');
-            this.$notificationIcon.title = this.isStandalone()
-              ? 'Notifications bloquées — réactivez-les dans les paramètres de l\'app (Paramètres > Applications > Badly > Notifications)'
-              : 'Notifications bloquées — réactivez-les dans les paramètres du navigateur';
-          } else {
-            this.$notificationIcon.textContent = '🔕';
-            this.$notificationIcon.title = 'Cliquez pour activer les notifications';
+            return null;
           }
-        } else if (!this.isStandalone()) {
-          this.$notificationIcon.textContent = '🔕';
-          this.$notificationIcon.classList.add('not-installed');
-          this.$notificationIcon.title = 'Installez l\'app pour recevoir les notifications';
-        } else {
-          this.$notificationIcon.classList.add('hidden');
+          if (permission === 'denied') {
+            return {
+              state: 'denied',
+              message: this.isStandalone()
+                ? 'Notifications bloquées — réactivez-les dans les paramètres de l\'app (Paramètres > Applications > Badly > Notifications)'
+                : 'Notifications bloquées — réactivez-les dans les paramètres du navigateur'
+            };
+          }
+          return { state: 'default', message: 'Activez les notifications pour être prévenu même quand l\'app est fermée' };
+        }
+        if (!this.isStandalone()) {
+          return { state: 'not-installed', message: 'Installez l\'app pour recevoir les notifications' };
+        }
+        return { state: 'unsupported', message: 'Les notifications push ne sont pas disponibles sur cet appareil' };
+      },
+      // La cloche reste visible : elle ouvre la boîte de réception, même sans push
+      updateNotificationIcon() {
+        const status = this.getPushStatus();
+        const unread = this.state.inboxUnread;
+        this.$notificationIcon.classList.remove('hidden', 'denied', 'not-installed');
+        if (status && (status.state === 'denied' || status.state === 'not-installed')) {
+          this.$notificationIcon.classList.add(status.state);
+        }
+        this.$notificationIcon.textContent = status ? '🔕' : '🔔';
+        if (unread > 0) {
+          const badge = document.createElement('span');
+          badge.className = 'notification-badge';
+          badge.textContent = unread > 99 ? '99+' : String(unread);
+          this.$notificationIcon.appendChild(badge);
         }
+        const unreadLabel = unread > 0 ? `${unread} notification${unread > 1 ? 's' : ''} non lue${unread > 1 ? 's' : ''}` : 'Notifications';
+        this.$notificationIcon.title = status ? `${unreadLabel} — ${status.message}` : unreadLabel;
+        this.$notificationIcon.setAttribute('aria-label', unreadLabel);
+        this.renderInboxPushStatus();
       },
-      async handleNotificationIconClick() {
+      async handlePushActivation() {
         if ('Notification' in window) {
           const permission = Notification.permission;
           if (permission === 'default') {
@@ -357,6 +1021,9 @@
           const isIOS = /iPad|iPhone|iPod/.test(userAgent) && !window.MSStream;
           const isAndroid = /android/i.test(userAgent);
           if (isIOS || isAndroid) {
+            if (!this.$inboxModal.classList.contains('hidden')) {
+              this.closeInboxModal();
+            }
             this.showInstallPrompt(isIOS ? 'ios' : 'android');
           } else {
             this.toast('Les notifications ne sont pas supportées par ce navigateur', true);
@@ -388,9 +1055,9 @@
       closeDropdown() {
         this.$userDropdown.classList.add('hidden');
       },
-      openSessionModal(session = null) {
+      openSessionModal(session = null, template = null) {
         if (!this.state.clubs.length) {
-          this.toast('Aucun club référencé. Ajoutez-en dans data.json.', true);
+          this.toast('Aucun club référencé.', true);
           return;
         }
         
@@ -399,22 +1066,47 @@
         select.innerHTML = '';
         this.state.clubs.forEach((club) => {
           const option = document.createElement('option');
-          option.value = club;
-          option.textContent = club;
+          option.value = club.id;
+          option.textContent = club.name;
           select.appendChild(option);
         });
 
-        if (session) {
+        this.$sessionForm.elements.namedItem('templateId').value = '';
+        this.$sessionRecurringField.classList.toggle('hidden', Boolean(session || template));
+        this.$sessionApplyFutureField.classList.toggle('hidden', !template);
+
+        if (template) {
+          // Mode édition d'une session récurrente
+          this.$sessionModalTitle.textContent = 'Modifier la récurrence';
+          this.$sessionSubmit.textContent = 'Enregistrer';
+          this.$sessionDelete.classList.add('hidden');
+          this.$sessionCancellation.classList.add('hidden');
+          this.$sessionForm.elements.namedItem('sessionId').value = '';
+          this.$sessionForm.elements.namedItem('templateId').value = template.id;
+          this.$sessionForm.elements.namedItem('club').value = (this.findClub(template) || {}).id || '';
+          this.$sessionForm.elements.namedItem('level').value = template.level;
+          this.setDurationValue(template.durationMinutes);
+          this.$sessionForm.elements.namedItem('capacity').value = template.capacity;
+          this.$sessionForm.elements.namedItem('price').value = template.pricePerParticipant;
+
+          const next = this.getNextTemplateOccurrence(template);
+          const local = new Date(next.getTime() - next.getTimezoneOffset() * 60000);
+          this.$sessionForm.elements.namedItem('datetime').value = local.toISOString().slice(0, 16);
+        } else if (session) {
           // Mode édition
           this.$sessionModalTitle.textContent = 'Modifier la session';
           this.$sessionSubmit.textContent = 'Enregistrer';
-          this.$sessionDelete.classList.remove('hidden');
+          // Suppression seulement sans inscrits ; sinon la session est annulée (les joueurs sont prévenus)
+          const hasParticipants = Array.isArray(session.participants) && session.participants.length > 0;
+          const isOrganizer = this.state.user && session.organizer === this.state.user.name;
+          this.$sessionDelete.classList.toggle('hidden', hasParticipants && isOrganizer);
+          this.$sessionCancellation.classList.remove('hidden');
           
           // Remplir le formulaire avec les données de la session
           this.$sessionForm.elements.namedItem('sessionId').value = session.id;
-          this.$sessionForm.elements.namedItem('club').value = session.club;
+          this.$sessionForm.elements.namedItem('club').value = (this.findClub(session) || {}).id || '';
           this.$sessionForm.elements.namedItem('level').value = session.level;
-          this.$sessionForm.elements.namedItem('duration').value = session.durationMinutes;
+          this.setDurationValue(session.durationMinutes);
           this.$sessionForm.elements.namedItem('capacity').value = session.capacity;
           this.$sessionForm.elements.namedItem('price').value = session.pricePerParticipant;
           
@@ -426,7 +1118,9 @@
           this.$sessionModalTitle.textContent = 'Nouvelle session';
           this.$sessionSubmit.textContent = 'Créer';
           this.$sessionDelete.classList.add('hidden');
+          this.$sessionCancellation.classList.add('hidden');
           this.$sessionForm.elements.namedItem('sessionId').value = '';
+          this.applyClubDefaults();
           
           const datetimeInput = this.$sessionForm.elements.namedItem('datetime');
           const now = new Date();
@@ -444,6 +1138,35 @@
         this.$backdrop.classList.remove('hidden');
         this.lockScroll();
       },
+      findClub(record) {
+        if (!record) return null;
+        return this.state.clubs.find((club) => club.id === record.clubId)
+          || this.state.clubs.find((club) => club.name === record.club)
+          || null;
+      },
+      setDurationValue(minutes) {
+        const select = this.$sessionForm.elements.namedItem('duration');
+        const value = String(minutes);
+        if (![...select.options].some((option) => option.value === value)) {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = this.formatDuration(minutes);
+          select.appendChild(option);
+        }
+        select.value = value;
+      },
+      // Préremplir le prix et la durée avec les valeurs par défaut du club choisi
+      applyClubDefaults() {
+        const clubId = this.$sessionForm.elements.namedItem('club').value;
+        const club = this.state.clubs.find((c) => c.id === clubId);
+        if (!club) return;
+        if (club.defaultPricePerParticipant !== null) {
+          this.$sessionForm.elements.namedItem('price').value = club.defaultPricePerParticipant;
+        }
+        if (club.defaultDurationMinutes !== null) {
+          this.setDurationValue(club.defaultDurationMinutes);
+        }
+      },
       closeSessionModal() {
         this.$sessionModal.classList.add('hidden');
         this.$backdrop.classList.add('hidden');
@@ -464,6 +1187,8 @@
         this.$header.classList.remove('hidden');
         this.$signinForm.reset();
         this.$signupForm.reset();
+        this.$resetForm.reset();
+        this.showResetForm(false);
         this.unlockScroll();
       },
       async refreshSessions() {
@@ -473,187 +1198,280 @@
           this.state.clubs = response.clubs || [];
           this.state.validUsernames = response.validUsernames || [];
           this.renderSessions();
-          // Mettre à jour le contenu du chat modal s'il est ouvert
-          if (this.state.chatSessionId && !this.$chatModal.classList.contains('hidden')) {
-            const updated = this.state.sessions.find(s => s.id === this.state.chatSessionId);
-            if (updated) {
-              const messages = Array.isArray(updated.messages) ? updated.messages : [];
-              this.$chatMessages.innerHTML = this.renderChatMessages(messages);
-              this.$chatMessages.scrollTop = this.$chatMessages.scrollHeight;
-            }
-          }
+          this.updateOpenChat();
         } catch (err) {
           this.toast(err.message, true);
         }
       },
+      // Mettre à jour le contenu du chat modal s'il est ouvert
+      updateOpenChat() {
+        if (!this.state.chatSessionId || this.$chatModal.classList.contains('hidden')) {
+          return;
+        }
+        const updated = this.state.sessions.find(s => s.id === this.state.chatSessionId);
+        if (!updated) {
+          return;
+        }
+        const messages = Array.isArray(updated.messages) ? updated.messages : [];
+        const fragment = this.renderChatMessages(messages, this.isAdmin());
+        if (fragment.html === this.chatRenderedHtml) {
+          return;
+        }
+        // Ne suivre les nouveaux messages que si l'on était déjà en bas de la conversation
+        const list = this.$chatMessages;
+        const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 24;
+        this.setHtml(list, fragment);
+        this.chatRenderedHtml = fragment.html;
+        if (atBottom) {
+          list.scrollTop = list.scrollHeight;
+        }
+      },
+      // Rendu incrémental : chaque carte est indexée par l'id de session et n'est reconstruite
+      // que si son contenu a changé, pour conserver le scroll et le focus lors des rafraîchissements
       renderSessions() {
         const list = this.$sessionsList;
-        list.innerHTML = '';
-        if (!this.state.sessions.length) {
-          this.$sessionsEmpty.classList.remove('hidden');
-          return;
+        if (!this.sessionCards) {
+          this.sessionCards = new Map();
         }
-        this.$sessionsEmpty.classList.add('hidden');
+        this.$sessionsEmpty.classList.toggle('hidden', this.state.sessions.length > 0);
+
         const now = Date.now();
+        const context = JSON.stringify([this.state.user ? this.state.user.name : null, this.isAdmin(), this.state.validUsernames || []]);
+        const seen = new Set();
+        this.state.sessions.forEach((session, index) => {
+          seen.add(session.id);
+          const hasStarted = new Date(session.datetime).getTime() <= now;
+          const signature = `${context}|${hasStarted}|${JSON.stringify(session)}`;
+          let entry = this.sessionCards.get(session.id);
+          if (!entry || entry.signature !== signature) {
+            const card = this.buildSessionCard(session, now);
+            if (entry) {
+              this.replaceCard(entry.card, card);
+            }
+            entry = { card, signature };
+            this.sessionCards.set(session.id, entry);
+          }
+          if (list.children[index] !== entry.card) {
+            list.insertBefore(entry.card, list.children[index] || null);
+          }
+        });
+
+        for (const [sessionId, entry] of this.sessionCards) {
+          if (!seen.has(sessionId)) {
+            entry.card.remove();
+            this.sessionCards.delete(sessionId);
+          }
+        }
+      },
+      // Remplacer une carte en gardant le focus sur le bouton équivalent
+      replaceCard(oldCard, newCard) {
+        const focused = oldCard.contains(document.activeElement) ? document.activeElement.dataset.action : null;
+        oldCard.replaceWith(newCard);
+        if (focused) {
+          const target = newCard.querySelector(`[data-action="${focused}"]`);
+          if (target) {
+            target.focus();
+          }
+        }
+      },
+      buildSessionCard(session, now) {
         const dateFormatter = new Intl.DateTimeFormat('fr-FR', { weekday: 'short', day: '2-digit', month: 'short' });
         const timeFormatter = new Intl.DateTimeFormat('fr-FR', { hour: '2-digit', minute: '2-digit' });
-        this.state.sessions.forEach((session) => {
-          const card = document.createElement('article');
-          card.className = 'session-card';
-
-          const sessionDate = new Date(session.datetime);
-          const durationLabel = this.formatDuration(session.durationMinutes);
-          const priceLabel = Number(session.pricePerParticipant) === 0 ? 'Gratuit' : new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(session.pricePerParticipant);
-          const participants = Array.isArray(session.participants) ? session.participants : [];
-          const followers = Array.isArray(session.followers) ? session.followers : [];
-          const participantCount = session.participantCount ?? (participants.length + 1);
-          const isFull = participantCount >= session.capacity;
-
-          const levelClass = session.level ? 'level-' + session.level.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z]/g, '-').toLowerCase() : '';
-          const header = document.createElement('header');
-          header.innerHTML = `
-            <div class="session-title">${session.club}</div>
-            <div class="header-pills">
-              ${session.level ? `<span class="session-level-pill ${levelClass}"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg> ${session.level}</span>` : ''}
-              <span class="session-price-pill">${priceLabel}</span>
-            </div>
-          `;
+        const card = document.createElement('article');
+        card.className = session.cancelled ? 'session-card session-cancelled' : 'session-card';
+        card.dataset.sessionId = session.id;
 
-          const infoGrid = document.createElement('div');
-          infoGrid.className = 'session-info-grid';
-          infoGrid.innerHTML = `
-            <div class="info-row">
-              <span class="info-item" title="Date"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg> ${dateFormatter.format(sessionDate)} • ${timeFormatter.format(sessionDate)}</span>
-              <span class="info-item" title="Durée"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg> ${durationLabel}</span>
-            </div>
-          `;
+        const sessionDate = new Date(session.datetime);
+        const durationLabel = this.formatDuration(session.durationMinutes);
+        const priceLabel = Number(session.pricePerParticipant) === 0 ? 'Gratuit' : new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(session.pricePerParticipant);
+        const participants = Array.isArray(session.participants) ? session.participants : [];
+        const followers = Array.isArray(session.followers) ? session.followers : [];
+        const waitlist = Array.isArray(session.waitlist) ? session.waitlist : [];
+        const participantCount = session.participantCount ?? (participants.length + 1);
+        const isFull = participantCount >= session.capacity;
 
-          const others = participants.filter((name) => name !== session.organizer);
-          const allParticipants = [session.organizer, ...others];
-          const currentUser = this.state.user ? this.state.user.name : null;
-          const validUsernames = this.state.validUsernames || [];
-          const participantsList = allParticipants.map((name, i) => {
-            const classes = ['people-name'];
-            if (i === 0) classes.push('people-organizer');
-            if (name === currentUser) classes.push('people-self');
-            if (!validUsernames.some(u => u.toLowerCase() === name.toLowerCase())) classes.push('people-external');
-            return `<span class="${classes.join(' ')}">${name}</span>`;
-          }).join('');
-          // Filter followers to exclude participants (except current user)
-           const filteredFollowers = followers.filter(follower => 
-             !participants.includes(follower) || follower === currentUser
-           );
-           const followersList = filteredFollowers.length 
-             ? filteredFollowers.map(name => `<span class="people-name${name === currentUser ? ' people-self' : ''}">${name}</span>`).join('') 
-             : `<span class="people-empty">—</span>`;
-
-          const peopleGrid = document.createElement('div');
-          peopleGrid.className = 'people-grid';
-          peopleGrid.innerHTML = `
-            <div class="people-col">
-              <div class="people-header"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg> <span class="${isFull ? 'people-count-full' : ''}">${participantCount}/${session.capacity}</span> Participants</div>
-              ${participantsList}
-            </div>
-            <div class="people-col">
-              <div class="people-header"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg> Intéressés</div>
-              ${followersList}
-            </div>
-          `;
+        const levelClass = session.level ? 'level-' + session.level.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z]/g, '-').toLowerCase() : '';
+        const header = document.createElement('header');
+        this.setHtml(header, this.html`
+          <div class="session-title">${session.club}</div>
+          <div class="header-pills">
+            ${session.level ? this.html`<span class="session-level-pill ${levelClass}"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg> ${session.level}</span>` : ''}
+            <span class="session-price-pill">${priceLabel}</span>
+          </div>
+        `);
 
-          const actions = document.createElement('div');
-          actions.className = 'session-actions';
-          const isOrganizer = this.state.user && session.organizer === this.state.user.name;
-          const isParticipant = this.state.user && participants.includes(this.state.user.name);
-          const hasStarted = sessionDate.getTime() <= now;
-
-          if (this.state.user && !isOrganizer && !hasStarted) {
-            if (isParticipant) {
-              const leaveBtn = document.createElement('button');
-              leaveBtn.className = 'btn-secondary';
-              leaveBtn.textContent = '✓ Inscrit';
-              leaveBtn.addEventListener('click', () => this.leaveSession(session.id));
-              actions.appendChild(leaveBtn);
-            } else {
-              const joinBtn = document.createElement('button');
-              joinBtn.className = 'btn-primary';
-              joinBtn.textContent = isFull ? 'Complet' : 'Participer';
-              if (isFull) {
-                joinBtn.disabled = true;
-                joinBtn.classList.add('btn-disabled');
-              } else {
-                joinBtn.addEventListener('click', () => this.joinSession(session.id));
-              }
-              actions.appendChild(joinBtn);
-            }
+        const infoGrid = document.createElement('div');
+        infoGrid.className = 'session-info-grid';
+        this.setHtml(infoGrid, this.html`
+          <div class="info-row">
+            <span class="info-item" title="Date"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="18" rx="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg> ${dateFormatter.format(sessionDate)} • ${timeFormatter.format(sessionDate)}</span>
+            <span class="info-item" title="Durée"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg> ${durationLabel}</span>
+          </div>
+        `);
 
-            // Bouton Suivre / Ne plus suivre
-            const isFollowing = followers.includes(this.state.user.name);
-            const followBtn = document.createElement('button');
-            followBtn.className = isFollowing ? 'btn-secondary' : 'btn-primary';
-            followBtn.textContent = isFollowing ? '✓ Suivi' : 'Suivre';
-            followBtn.addEventListener('click', () => {
-              if (isFollowing) {
-                this.unfollowSession(session.id);
-              } else {
-                this.followSession(session.id);
-              }
-            });
-            actions.appendChild(followBtn);
-          }
+        const others = participants.filter((name) => name !== session.organizer);
+        const allParticipants = [session.organizer, ...others];
+        const currentUser = this.state.user ? this.state.user.name : null;
+        const validUsernames = this.state.validUsernames || [];
+        const participantsList = allParticipants.map((name, i) => {
+          const classes = ['people-name'];
+          if (i === 0) classes.push('people-organizer');
+          if (name === currentUser) classes.push('people-self');
+          if (!validUsernames.some(u => u.toLowerCase() === name.toLowerCase())) classes.push('people-external');
+          return this.html`<span class="${classes.join(' ')}">${name}</span>`;
+        });
+        const waitlistList = waitlist.length
+          ? [this.html`<div class="people-subheader">Liste d'attente</div>`, ...waitlist.map((name, i) =>
+            this.html`<span class="people-name people-waiting${name === currentUser ? ' people-self' : ''}">${i + 1}. ${name}</span>`
+          )]
+          : '';
+        // Filter followers to exclude participants (except current user)
+        const filteredFollowers = followers.filter(follower =>
+          !participants.includes(follower) || follower === currentUser
+        );
+        const followersList = filteredFollowers.length
+          ? filteredFollowers.map(name => this.html`<span class="people-name${name === currentUser ? ' people-self' : ''}">${name}</span>`)
+          : this.html`<span class="people-empty">—</span>`;
 
-          if (this.state.user && isOrganizer && !hasStarted) {
-            const editBtn = document.createElement('button');
-            editBtn.className = 'btn-primary';
-            editBtn.textContent = 'Modifier';
-            editBtn.addEventListener('click', () => this.openSessionModal(session));
-            actions.appendChild(editBtn);
-
-            const participantsBtn = document.createElement('button');
-            participantsBtn.className = 'btn-primary';
-            participantsBtn.textContent = 'Participants';
-            participantsBtn.addEventListener('click', () => this.openParticipantsModal(session));
-            actions.appendChild(participantsBtn);
-          }
+        const peopleGrid = document.createElement('div');
+        peopleGrid.className = 'people-grid';
+        this.setHtml(peopleGrid, this.html`
+          <div class="people-col">
+            <div class="people-header"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg> <span class="${isFull ? 'people-count-full' : ''}">${participantCount}/${session.capacity}</span> Participants</div>
+            ${participantsList}
+            ${waitlistList}
+          </div>
+          <div class="people-col">
+            <div class="people-header"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg> Intéressés</div>
+            ${followersList}
+          </div>
+        `);
 
-          if (hasStarted && !actions.children.length) {
-            const info = document.createElement('span');
-            info.className = 'badge';
-            info.textContent = 'Session démarrée';
-            actions.appendChild(info);
-          }
+        const actions = document.createElement('div');
+        actions.className = 'session-actions';
+        const isOrganizer = this.state.user && session.organizer === this.state.user.name;
+        const isParticipant = this.state.user && participants.includes(this.state.user.name);
+        const waitlistPosition = this.state.user ? waitlist.indexOf(this.state.user.name) + 1 : 0;
+        const hasStarted = sessionDate.getTime() <= now;
+        // Une session annulée reste affichée jusqu'à son heure, sans action possible
+        const isOpen = !hasStarted && !session.cancelled;
 
-          // Bouton Chat (visible pour organisateur, participants et followers, avant démarrage)
-          const isFollowerForChat = this.state.user && followers.includes(this.state.user.name);
-          const canAccessChat = this.state.user && (isOrganizer || isParticipant || isFollowerForChat);
-          if (canAccessChat && !hasStarted) {
-            const chatBtn = document.createElement('button');
-            chatBtn.className = 'btn-secondary';
-            const messages = Array.isArray(session.messages) ? session.messages : [];
-            chatBtn.innerHTML = `<svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 11.5a8.38 8.38 0 0 1-.9 3.8 8.5 8.5 0 0 1-7.6 4.7 8.38 8.38 0 0 1-3.8-.9L3 21l1.9-5.7a8.38 8.38 0 0 1-.9-3.8 8.5 8.5 0 0 1 4.7-7.6 8.38 8.38 0 0 1 3.8-.9h.5a8.48 8.48 0 0 1 8 8v.5z"/></svg> ${messages.length}`;
-            chatBtn.addEventListener('click', () => this.openChatModal(session));
-            actions.appendChild(chatBtn);
+        if (this.state.user && !isOrganizer && isOpen) {
+          if (isParticipant) {
+            const leaveBtn = document.createElement('button');
+            leaveBtn.className = 'btn-secondary';
+            leaveBtn.dataset.action = 'leave';
+            leaveBtn.textContent = '✓ Inscrit';
+            leaveBtn.addEventListener('click', () => this.leaveSession(session.id));
+            actions.appendChild(leaveBtn);
+          } else if (waitlistPosition) {
+            const waitBtn = document.createElement('button');
+            waitBtn.className = 'btn-secondary';
+            waitBtn.dataset.action = 'leave-waitlist';
+            waitBtn.textContent = `⏳ En attente (${waitlistPosition})`;
+            waitBtn.title = 'Quitter la liste d\'attente';
+            waitBtn.addEventListener('click', () => this.leaveSession(session.id, true));
+            actions.appendChild(waitBtn);
+          } else {
+            const joinBtn = document.createElement('button');
+            // Comme le serveur : la liste d'attente prend d'abord les places libres
+            const joinsWaitlist = participantCount + waitlist.length >= session.capacity;
+            joinBtn.className = joinsWaitlist ? 'btn-secondary' : 'btn-primary';
+            joinBtn.dataset.action = 'join';
+            joinBtn.textContent = joinsWaitlist ? 'Liste d\'attente' : 'Participer';
+            joinBtn.addEventListener('click', () => this.joinSession(session.id));
+            actions.appendChild(joinBtn);
           }
 
-          card.appendChild(header);
-          card.appendChild(infoGrid);
-          card.appendChild(peopleGrid);
-          card.appendChild(actions);
-          list.appendChild(card);
-        });
+          // Bouton Suivre / Ne plus suivre
+          const isFollowing = followers.includes(this.state.user.name);
+          const followBtn = document.createElement('button');
+          followBtn.className = isFollowing ? 'btn-secondary' : 'btn-primary';
+          followBtn.dataset.action = 'follow';
+          followBtn.textContent = isFollowing ? '✓ Suivi' : 'Suivre';
+          followBtn.addEventListener('click', () => {
+            if (isFollowing) {
+              this.unfollowSession(session.id);
+            } else {
+              this.followSession(session.id);
+            }
+          });
+          actions.appendChild(followBtn);
+        }
+
+        const isAdmin = this.isAdmin();
+        if (this.state.user && (isOrganizer || isAdmin) && isOpen) {
+          const editBtn = document.createElement('button');
+          editBtn.className = 'btn-primary';
+          editBtn.dataset.action = 'edit';
+          editBtn.textContent = isOrganizer ? 'Modifier' : 'Modérer';
+          editBtn.addEventListener('click', () => this.openSessionModal(session));
+          actions.appendChild(editBtn);
+        }
+
+        if (this.state.user && isOrganizer && isOpen) {
+          const participantsBtn = document.createElement('button');
+          participantsBtn.className = 'btn-primary';
+          participantsBtn.dataset.action = 'participants';
+          participantsBtn.textContent = 'Participants';
+          participantsBtn.addEventListener('click', () => this.openParticipantsModal(session));
+          actions.appendChild(participantsBtn);
+        }
+
+        if (session.cancelled) {
+          const info = document.createElement('span');
+          info.className = 'badge';
+          info.textContent = 'Session annulée';
+          actions.appendChild(info);
+        } else if (hasStarted && !actions.children.length) {
+          const info = document.createElement('span');
+          info.className = 'badge';
+          info.textContent = 'Session démarrée';
+          actions.appendChild(info);
+        }
+
+        // Bouton Chat (visible pour organisateur, participants et followers, avant démarrage)
+        const isFollowerForChat = this.state.user && followers.includes(this.state.user.name);
+        const canAccessChat = this.state.user && (isOrganizer || isParticipant || isFollowerForChat || isAdmin);
+        if (canAccessChat && isOpen) {
+          const chatBtn = document.createElement('button');
+          chatBtn.className = 'btn-secondary';
+          chatBtn.dataset.action = 'chat';
+          const messages = Array.isArray(session.messages) ? session.messages : [];
+          this.setHtml(chatBtn, this.html`<svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 11.5a8.38 8.38 0 0 1-.9 3.8 8.5 8.5 0 0 1-7.6 4.7 8.38 8.38 0 0 1-3.8-.9L3 21l1.9-5.7a8.38 8.38 0 0 1-.9-3.8 8.5 8.5 0 0 1 4.7-7.6 8.38 8.38 0 0 1 3.8-.9h.5a8.48 8.48 0 0 1 8 8v.5z"/></svg> ${messages.length}`);
+          chatBtn.addEventListener('click', () => this.openChatModal(session));
+          actions.appendChild(chatBtn);
+        }
+
+        card.appendChild(header);
+        card.appendChild(infoGrid);
+        if (session.cancelled) {
+          const banner = document.createElement('div');
+          banner.className = 'session-cancelled-banner';
+          banner.textContent = session.cancelReason ? `Annulée : ${session.cancelReason}` : 'Annulée par l\'organisateur';
+          card.appendChild(banner);
+        }
+        card.appendChild(peopleGrid);
+        card.appendChild(actions);
+        return card;
       },
-      renderChatMessages(messages) {
+      renderChatMessages(messages, deletable = false) {
         if (!messages || messages.length === 0) {
-          return '';
+          return this.html``;
         }
-        return messages.map(msg => `
-          <div class="chat-message">
+        const deleteButton = (msg) => (deletable && msg.id
+          ? this.html`<button type="button" class="chat-message-delete" data-message-id="${msg.id}" title="Supprimer le message">✕</button>`
+          : '');
+        const textLines = (text) => String(text).split('\n').map((line, i) => (i === 0 ? this.html`${line}` : this.html`<br>${line}`));
+        return this.html`${messages.map(msg => this.html`
+          <div class="chat-message${msg.system ? ' chat-message-system' : ''}">
             <div class="chat-message-header">
-              <span class="chat-message-sender">${this.escapeHtml(msg.sender)}</span>
-              <span class="chat-message-time">${this.formatChatTime(msg.timestamp)}</span>
+              <span class="chat-message-sender">${msg.sender}</span>
+              <span class="chat-message-time">${this.formatChatTime(msg.timestamp)}${deleteButton(msg)}</span>
             </div>
-            <div class="chat-message-text">${this.escapeHtml(msg.text).replace(/\n/g, '<br>')}</div>
+            <div class="chat-message-text">${textLines(msg.text)}</div>
           </div>
-        `).join('');
+        `)}`;
       },
       formatChatTime(timestamp) {
         const date = new Date(timestamp);
@@ -676,15 +1494,42 @@
         const dateStr = date.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' });
         return `${dateStr} ${timeStr}`;
       },
+      isAdmin() {
+        return Boolean(this.state.user && this.state.user.isAdmin);
+      },
+      // Échappe aussi les guillemets : les valeurs peuvent finir dans un attribut
       escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;')
+          .replace(/'/g, '&#39;');
+      },
+      // Gabarit HTML (à utiliser en tag : this.html`...`) : chaque valeur interpolée est échappée,
+      // sauf les fragments produits par this.html eux-mêmes ; les tableaux sont concaténés
+      html(strings, ...values) {
+        const toHtml = (value) => {
+          if (value === null || value === undefined || value === false) return '';
+          if (Array.isArray(value)) return value.map(toHtml).join('');
+          if (value instanceof SafeHtml) return value.html;
+          return this.escapeHtml(value);
+        };
+        return new SafeHtml(strings.reduce((acc, part, i) => acc + toHtml(values[i - 1]) + part));
+      },
+      // Seul point d'entrée pour innerHTML avec du contenu dynamique
+      setHtml(element, fragment) {
+        if (!(fragment instanceof SafeHtml)) {
+          throw new TypeError('setHtml attend un fragment this.html');
+        }
+        element.innerHTML = fragment.html;
       },
       openChatModal(session) {
         this.state.chatSessionId = session.id;
         const messages = Array.isArray(session.messages) ? session.messages : [];
-        this.$chatMessages.innerHTML = this.renderChatMessages(messages);
+        const fragment = this.renderChatMessages(messages, this.isAdmin());
+        this.setHtml(this.$chatMessages, fragment);
+        this.chatRenderedHtml = fragment.html;
         this.$chatInput.value = '';
         this.$chatInput.style.height = 'auto';
         this.$chatModal.classList.remove('hidden');
@@ -702,19 +1547,751 @@
         try {
           await this.api('/sendMessage', { sessionId, text });
           await this.refreshSessions();
-          // Ré-ouvrir le modal sur la session mise à jour
+          // Afficher son propre message même si l'on avait remonté la conversation
           if (this.state.chatSessionId === sessionId) {
-            const updated = this.state.sessions.find(s => s.id === sessionId);
-            if (updated) {
-              const messages = Array.isArray(updated.messages) ? updated.messages : [];
-              this.$chatMessages.innerHTML = this.renderChatMessages(messages);
-              this.$chatMessages.scrollTop = this.$chatMessages.scrollHeight;
-            }
+            this.$chatMessages.scrollTop = this.$chatMessages.scrollHeight;
+          }
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      openHistoryModal() {
+        this.state.history = [];
+        this.state.historyHasMore = false;
+        this.renderHistory();
+        this.$historyModal.classList.remove('hidden');
+        this.$backdrop.classList.remove('hidden');
+        this.lockScroll();
+        this.loadHistory();
+      },
+      closeHistoryModal() {
+        this.$historyModal.classList.add('hidden');
+        this.$backdrop.classList.add('hidden');
+        this.unlockScroll();
+      },
+      async loadHistory() {
+        if (this._loadingHistory) return;
+        this._loadingHistory = true;
+        try {
+          const offset = this.state.history.length;
+          const response = await this.api(`/listHistory?offset=${offset}&limit=10`, null, { method: 'GET' });
+          this.state.history = [...this.state.history, ...(response.sessions || [])];
+          this.state.historyHasMore = Boolean(response.hasMore);
+          this.renderHistory();
+        } catch (err) {
+          this.toast(err.message, true);
+        } finally {
+          this._loadingHistory = false;
+        }
+      },
+      renderHistory() {
+        const list = this.$historyList;
+        list.innerHTML = '';
+        const dateFormatter = new Intl.DateTimeFormat('fr-FR', { weekday: 'short', day: '2-digit', month: 'short', year: 'numeric' });
+        const timeFormatter = new Intl.DateTimeFormat('fr-FR', { hour: '2-digit', minute: '2-digit' });
+        this.state.history.forEach((session) => {
+          const item = document.createElement('article');
+          item.className = 'history-item';
+
+          const sessionDate = new Date(session.datetime);
+          const title = document.createElement('div');
+          title.className = 'history-item-title';
+          const club = document.createElement('span');
+          club.textContent = session.club;
+          const date = document.createElement('span');
+          date.className = 'history-item-date';
+          date.textContent = `${dateFormatter.format(sessionDate)} • ${timeFormatter.format(sessionDate)}`;
+          title.appendChild(club);
+          title.appendChild(date);
+
+          const priceLabel = Number(session.pricePerParticipant) === 0 ? 'Gratuit' : new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(session.pricePerParticipant);
+          const meta = document.createElement('div');
+          meta.className = 'history-item-meta';
+          const cancelLabel = session.cancelled ? `Annulée${session.cancelReason ? ` (${session.cancelReason})` : ''}` : null;
+          meta.textContent = [cancelLabel, session.level, this.formatDuration(session.durationMinutes), priceLabel].filter(Boolean).join(' • ');
+
+          const participants = Array.isArray(session.participants) ? session.participants : [];
+          const people = document.createElement('div');
+          people.className = 'history-item-people';
+          people.textContent = `${session.participantCount}/${session.capacity} : ${[session.organizer, ...participants].join(', ')}`;
+
+          item.appendChild(title);
+          item.appendChild(meta);
+          item.appendChild(people);
+
+          const messages = Array.isArray(session.messages) ? session.messages : [];
+          if (messages.length) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `Chat (${messages.length})`;
+            const chat = document.createElement('div');
+            chat.className = 'chat-messages';
+            this.setHtml(chat, this.renderChatMessages(messages));
+            details.appendChild(summary);
+            details.appendChild(chat);
+            item.appendChild(details);
+          }
+
+          list.appendChild(item);
+        });
+        this.$historyMore.classList.toggle('hidden', !this.state.historyHasMore);
+      },
+      buildTemplateSchedule(datetime, payload) {
+        const hours = String(datetime.getHours()).padStart(2, '0');
+        const minutes = String(datetime.getMinutes()).padStart(2, '0');
+        const { clubId, level, durationMinutes, capacity, pricePerParticipant } = payload;
+        return { clubId, level, durationMinutes, capacity, pricePerParticipant, weekday: datetime.getDay(), time: `${hours}:${minutes}` };
+      },
+      getNextTemplateOccurrence(template, from = new Date()) {
+        const [hours, minutes] = template.time.split(':').map(Number);
+        const next = new Date(from.getFullYear(), from.getMonth(), from.getDate(), hours, minutes);
+        while (next.getDay() !== template.weekday || next.getTime() <= from.getTime()) {
+          next.setDate(next.getDate() + 1);
+        }
+        return next;
+      },
+      formatTemplateSchedule(template) {
+        const weekdays = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+        return `Chaque ${weekdays[template.weekday]} à ${template.time.replace(':', 'h')}`;
+      },
+      formatDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Intl.DateTimeFormat('fr-FR', { weekday: 'short', day: '2-digit', month: 'short' }).format(new Date(year, month - 1, day));
+      },
+      async createTemplate(payload) {
+        try {
+          const response = await this.api('/createTemplate', payload);
+          const count = (response.sessions || []).length;
+          this.toast(count ? `Session récurrente créée (${count} session${count > 1 ? 's' : ''} planifiée${count > 1 ? 's' : ''})` : 'Session récurrente créée');
+          this.closeSessionModal();
+          this.refreshSessions();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async editTemplate(payload) {
+        try {
+          const response = await this.api('/editTemplate', payload);
+          this.toast(response.updatedSessions
+            ? `Récurrence modifiée (${response.updatedSessions} session${response.updatedSessions > 1 ? 's' : ''} mise${response.updatedSessions > 1 ? 's' : ''} à jour)`
+            : 'Récurrence modifiée');
+          this.closeSessionModal();
+          this.refreshSessions();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async openTemplatesModal() {
+        this.state.templates = [];
+        this.renderTemplates();
+        this.$templatesModal.classList.remove('hidden');
+        this.$backdrop.classList.remove('hidden');
+        this.lockScroll();
+        await this.loadTemplates();
+      },
+      closeTemplatesModal() {
+        this.$templatesModal.classList.add('hidden');
+        this.$backdrop.classList.add('hidden');
+        this.unlockScroll();
+      },
+      async loadTemplates() {
+        try {
+          const response = await this.api('/listTemplates', null, { method: 'GET' });
+          this.state.templates = response.templates || [];
+          this.renderTemplates();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async updateTemplate(path, payload, message) {
+        try {
+          const response = await this.api(path, payload);
+          this.toast(response.keptSession
+            ? 'Date sautée. La session déjà créée a des inscrits : supprimez-la si besoin.'
+            : message);
+          await this.loadTemplates();
+          this.refreshSessions();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async deleteTemplate(templateId) {
+        if (!confirm('Supprimer cette session récurrente ? Les sessions déjà créées sont conservées.')) return;
+        await this.updateTemplate('/deleteTemplate', { templateId }, 'Session récurrente supprimée');
+      },
+      renderTemplates() {
+        const list = this.$templatesList;
+        list.innerHTML = '';
+        this.state.templates.forEach((template) => {
+          const item = document.createElement('article');
+          item.className = 'history-item';
+
+          const title = document.createElement('div');
+          title.className = 'history-item-title';
+          const club = document.createElement('span');
+          club.textContent = template.club;
+          const schedule = document.createElement('span');
+          schedule.className = 'history-item-date';
+          schedule.textContent = this.formatTemplateSchedule(template);
+          title.appendChild(club);
+          title.appendChild(schedule);
+          item.appendChild(title);
+
+          const priceLabel = Number(template.pricePerParticipant) === 0 ? 'Gratuit' : new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(template.pricePerParticipant);
+          const meta = document.createElement('div');
+          meta.className = 'history-item-meta';
+          meta.textContent = [template.level, this.formatDuration(template.durationMinutes), `${template.capacity} joueurs`, priceLabel].join(' • ');
+          item.appendChild(meta);
+
+          if (template.paused) {
+            const status = document.createElement('div');
+            status.className = 'template-status';
+            status.textContent = 'En pause';
+            item.appendChild(status);
+          }
+
+          if (template.skipDates.length) {
+            const skipped = document.createElement('div');
+            skipped.className = 'template-skip-dates';
+            template.skipDates.forEach((date) => {
+              const pill = document.createElement('span');
+              pill.className = 'pill';
+              pill.textContent = `Sautée : ${this.formatDateKey(date)}`;
+              const undo = document.createElement('button');
+              undo.type = 'button';
+              undo.textContent = '\u00D7';
+              undo.title = 'Rétablir cette date';
+              undo.addEventListener('click', () => this.updateTemplate('/skipTemplateDate', { templateId: template.id, date, skip: false }, 'Date rétablie'));
+              pill.appendChild(undo);
+              skipped.appendChild(pill);
+            });
+            item.appendChild(skipped);
+          }
+
+          const skipForm = document.createElement('form');
+          skipForm.className = 'template-skip-form';
+          const dateInput = document.createElement('input');
+          dateInput.type = 'date';
+          dateInput.required = true;
+          dateInput.value = this.toDateKey(this.getNextTemplateOccurrence(template));
+          const skipBtn = document.createElement('button');
+          skipBtn.type = 'submit';
+          skipBtn.className = 'btn-secondary';
+          skipBtn.textContent = 'Sauter cette date';
+          skipForm.appendChild(dateInput);
+          skipForm.appendChild(skipBtn);
+          skipForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.updateTemplate('/skipTemplateDate', { templateId: template.id, date: dateInput.value }, 'Date sautée');
+          });
+          item.appendChild(skipForm);
+
+          const actions = document.createElement('div');
+          actions.className = 'template-actions';
+          const editBtn = document.createElement('button');
+          editBtn.className = 'btn-primary';
+          editBtn.textContent = 'Modifier';
+          editBtn.addEventListener('click', () => {
+            this.closeTemplatesModal();
+            this.openSessionModal(null, template);
+          });
+          const pauseBtn = document.createElement('button');
+          pauseBtn.className = 'btn-secondary';
+          pauseBtn.textContent = template.paused ? 'Reprendre' : 'Mettre en pause';
+          pauseBtn.addEventListener('click', () => this.updateTemplate('/pauseTemplate', { templateId: template.id, paused: !template.paused }, template.paused ? 'Récurrence reprise' : 'Récurrence en pause'));
+          const deleteBtn = document.createElement('button');
+          deleteBtn.className = 'btn-danger';
+          deleteBtn.textContent = 'Supprimer';
+          deleteBtn.addEventListener('click', () => this.deleteTemplate(template.id));
+          actions.appendChild(editBtn);
+          actions.appendChild(pauseBtn);
+          actions.appendChild(deleteBtn);
+          item.appendChild(actions);
+
+          list.appendChild(item);
+        });
+      },
+      openAdminModal() {
+        this.$clubForm.reset();
+        this.showAdminSection('users');
+        this.$adminModal.classList.remove('hidden');
+        this.$backdrop.classList.remove('hidden');
+        this.lockScroll();
+      },
+      closeAdminModal() {
+        this.$adminModal.classList.add('hidden');
+        this.$backdrop.classList.add('hidden');
+        this.unlockScroll();
+      },
+      showAdminSection(section) {
+        this.$adminTabs.forEach((tab) => tab.classList.toggle('active', tab.dataset.section === section));
+        ['users', 'clubs', 'audit'].forEach((name) => {
+          document.getElementById(`admin-${name}`).classList.toggle('hidden', name !== section);
+        });
+        if (section === 'users') {
+          this.loadAdminUsers();
+        } else if (section === 'clubs') {
+          this.renderAdminClubs();
+        } else {
+          this.state.auditLog = [];
+          this.loadAuditLog();
+        }
+      },
+      async adminAction(path, payload, message) {
+        try {
+          const response = await this.api(path, payload);
+          if (message) this.toast(message);
+          return response;
+        } catch (err) {
+          this.toast(err.message, true);
+          return null;
+        }
+      },
+      async loadAdminUsers() {
+        try {
+          const response = await this.api('/admin/listUsers', null, { method: 'GET' });
+          this.state.adminUsers = response.users || [];
+          this.renderAdminUsers();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      renderAdminUsers() {
+        const list = this.$adminUsersList;
+        list.innerHTML = '';
+        const formatter = new Intl.DateTimeFormat('fr-FR', { day: '2-digit', month: 'short', year: 'numeric' });
+        (this.state.adminUsers || []).forEach((user) => {
+          const item = document.createElement('article');
+          item.className = 'history-item';
+
+          const title = document.createElement('div');
+          title.className = 'history-item-title';
+          const name = document.createElement('span');
+          name.textContent = user.name;
+          title.appendChild(name);
+          if (user.isAdmin) {
+            const badge = document.createElement('span');
+            badge.className = 'admin-badge';
+            badge.textContent = 'Admin';
+            title.appendChild(badge);
+          }
+
+          const meta = document.createElement('div');
+          meta.className = 'history-item-meta';
+          meta.textContent = [
+            user.createdAt ? `Inscrit le ${formatter.format(new Date(user.createdAt))}` : null,
+            user.invitedBy ? `invité par ${user.invitedBy}` : null,
+            `${user.deviceCount} appareil(s)`,
+            `${user.pushSubscriptionCount} abonnement(s) push`,
+            user.lastSeenAt ? `vu le ${formatter.format(new Date(user.lastSeenAt))}` : null
+          ].filter(Boolean).join(' • ');
+
+          const actions = document.createElement('div');
+          actions.className = 'template-actions';
+          const resetBtn = document.createElement('button');
+          resetBtn.className = 'btn-secondary';
+          resetBtn.textContent = 'Code de réinitialisation';
+          resetBtn.addEventListener('click', () => this.createResetCode(user.name));
+          actions.appendChild(resetBtn);
+          if (user.pushSubscriptionCount > 0) {
+            const purgeBtn = document.createElement('button');
+            purgeBtn.className = 'btn-secondary';
+            purgeBtn.textContent = 'Purger push';
+            purgeBtn.addEventListener('click', () => this.purgePushSubscriptions(user.name));
+            actions.appendChild(purgeBtn);
+          }
+          if (user.name !== this.state.user.name && !user.configuredAdmin) {
+            const adminBtn = document.createElement('button');
+            adminBtn.className = 'btn-secondary';
+            adminBtn.textContent = user.isAdmin ? 'Retirer admin' : 'Rendre admin';
+            adminBtn.addEventListener('click', async () => {
+              if (await this.adminAction('/admin/setAdmin', { name: user.name, isAdmin: !user.isAdmin }, 'Droits mis à jour')) {
+                this.loadAdminUsers();
+              }
+            });
+            actions.appendChild(adminBtn);
+          }
+          if (user.name !== this.state.user.name) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-danger';
+            deleteBtn.textContent = 'Supprimer';
+            deleteBtn.addEventListener('click', () => this.deleteUser(user.name));
+            actions.appendChild(deleteBtn);
+          }
+
+          item.appendChild(title);
+          item.appendChild(meta);
+          item.appendChild(actions);
+          list.appendChild(item);
+        });
+      },
+      async deleteUser(name) {
+        if (!confirm(`Supprimer le compte ${name} ? Ses sessions à venir seront annulées (joueurs prévenus) et ses sessions récurrentes supprimées.`)) return;
+        if (await this.adminAction('/admin/deleteUser', { name }, 'Compte supprimé')) {
+          this.loadAdminUsers();
+          this.refreshSessions();
+        }
+      },
+      async purgePushSubscriptions(name = null) {
+        const message = name
+          ? `Supprimer les abonnements push de ${name} ?`
+          : 'Supprimer les abonnements push de tous les utilisateurs ? Chacun devra réactiver les notifications.';
+        if (!confirm(message)) return;
+        const response = await this.adminAction('/admin/purgePushSubscriptions', name ? { name } : {});
+        if (response) {
+          this.toast(`${response.removed} abonnement(s) supprimé(s)`);
+          this.loadAdminUsers();
+        }
+      },
+      async deleteChatMessage(sessionId, messageId) {
+        if (!confirm('Supprimer ce message ?')) return;
+        if (await this.adminAction('/admin/deleteMessage', { sessionId, messageId }, 'Message supprimé')) {
+          await this.refreshSessions();
+        }
+      },
+      renderAdminClubs() {
+        const list = this.$adminClubsList;
+        list.innerHTML = '';
+        this.state.clubs.forEach((club) => {
+          const item = document.createElement('article');
+          item.className = 'history-item';
+
+          const title = document.createElement('div');
+          title.className = 'history-item-title';
+          title.textContent = club.name;
+
+          const meta = document.createElement('div');
+          meta.className = 'history-item-meta';
+          meta.textContent = [
+            club.address,
+            club.courts ? `${club.courts} terrain(s)` : null,
+            club.defaultPricePerParticipant !== null ? `${club.defaultPricePerParticipant} €` : null,
+            club.defaultDurationMinutes ? this.formatDuration(club.defaultDurationMinutes) : null
+          ].filter(Boolean).join(' • ');
+
+          const actions = document.createElement('div');
+          actions.className = 'template-actions';
+          const editBtn = document.createElement('button');
+          editBtn.className = 'btn-primary';
+          editBtn.textContent = 'Modifier';
+          editBtn.addEventListener('click', () => this.fillClubForm(club));
+          const deleteBtn = document.createElement('button');
+          deleteBtn.className = 'btn-danger';
+          deleteBtn.textContent = 'Supprimer';
+          deleteBtn.addEventListener('click', () => this.deleteClub(club));
+          actions.appendChild(editBtn);
+          actions.appendChild(deleteBtn);
+
+          item.appendChild(title);
+          item.appendChild(meta);
+          item.appendChild(actions);
+          list.appendChild(item);
+        });
+      },
+      fillClubForm(club) {
+        const form = this.$clubForm;
+        form.elements.namedItem('clubId').value = club.id;
+        ['name', 'address', 'latitude', 'longitude', 'courts', 'defaultPricePerParticipant', 'defaultDurationMinutes'].forEach((field) => {
+          form.elements.namedItem(field).value = club[field] ?? '';
+        });
+        this.$clubSubmit.textContent = 'Enregistrer';
+        form.elements.namedItem('name').focus();
+      },
+      async saveClub() {
+        const formData = new FormData(this.$clubForm);
+        const optionalNumber = (field) => (formData.get(field) === '' ? null : Number(formData.get(field)));
+        const payload = {
+          name: formData.get('name').trim(),
+          address: formData.get('address').trim(),
+          latitude: optionalNumber('latitude'),
+          longitude: optionalNumber('longitude'),
+          courts: optionalNumber('courts'),
+          defaultPricePerParticipant: optionalNumber('defaultPricePerParticipant'),
+          defaultDurationMinutes: optionalNumber('defaultDurationMinutes')
+        };
+        const clubId = formData.get('clubId');
+        const response = clubId
+          ? await this.adminAction('/editClub', { ...payload, clubId }, 'Club modifié')
+          : await this.adminAction('/createClub', payload, 'Club ajouté');
+        if (response) {
+          this.$clubForm.reset();
+          await this.refreshSessions();
+          this.renderAdminClubs();
+        }
+      },
+      async deleteClub(club) {
+        if (!confirm(`Supprimer le club ${club.name} ?`)) return;
+        if (await this.adminAction('/deleteClub', { clubId: club.id }, 'Club supprimé')) {
+          await this.refreshSessions();
+          this.renderAdminClubs();
+        }
+      },
+      async loadAuditLog() {
+        if (this._loadingAuditLog) return;
+        this._loadingAuditLog = true;
+        try {
+          const offset = this.state.auditLog.length;
+          const response = await this.api(`/admin/auditLog?offset=${offset}&limit=20`, null, { method: 'GET' });
+          this.state.auditLog = [...this.state.auditLog, ...(response.entries || [])];
+          this.$adminAuditMore.classList.toggle('hidden', !response.hasMore);
+          this.renderAuditLog();
+        } catch (err) {
+          this.toast(err.message, true);
+        } finally {
+          this._loadingAuditLog = false;
+        }
+      },
+      describeAuditAction(action) {
+        const labels = {
+          createResetCode: 'Code de réinitialisation',
+          deleteUser: 'Compte supprimé',
+          grantAdmin: 'Droits admin accordés',
+          revokeAdmin: 'Droits admin retirés',
+          editSession: 'Session modifiée',
+          deleteSession: 'Session supprimée',
+          cancelSession: 'Session annulée',
+          deleteMessage: 'Message supprimé',
+          purgePushSubscriptions: 'Abonnements push purgés',
+          createClub: 'Club ajouté',
+          editClub: 'Club modifié',
+          deleteClub: 'Club supprimé'
+        };
+        return labels[action] || action;
+      },
+      renderAuditLog() {
+        const list = this.$adminAuditList;
+        list.innerHTML = '';
+        const formatter = new Intl.DateTimeFormat('fr-FR', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+        this.state.auditLog.forEach((entry) => {
+          const item = document.createElement('article');
+          item.className = 'history-item';
+
+          const title = document.createElement('div');
+          title.className = 'history-item-title';
+          const action = document.createElement('span');
+          action.textContent = `${this.describeAuditAction(entry.action)} : ${entry.target}`;
+          const date = document.createElement('span');
+          date.className = 'history-item-date';
+          date.textContent = formatter.format(new Date(entry.at));
+          title.appendChild(action);
+          title.appendChild(date);
+
+          const meta = document.createElement('div');
+          meta.className = 'history-item-meta';
+          const details = Object.entries(entry.details || {}).map(([key, value]) => `${key} : ${value}`);
+          meta.textContent = [`par ${entry.admin}`, ...details].join(' • ');
+
+          item.appendChild(title);
+          item.appendChild(meta);
+          list.appendChild(item);
+        });
+      },
+      openInvitesModal() {
+        this.state.invites = [];
+        this.renderInvites();
+        this.$inviteForm.reset();
+        this.$invitesModal.classList.remove('hidden');
+        this.$backdrop.classList.remove('hidden');
+        this.lockScroll();
+        this.loadInvites();
+      },
+      closeInvitesModal() {
+        this.$invitesModal.classList.add('hidden');
+        this.$backdrop.classList.add('hidden');
+        this.unlockScroll();
+      },
+      async loadInvites() {
+        try {
+          const response = await this.api('/listInvites', null, { method: 'GET' });
+          this.state.invites = response.invites || [];
+          this.renderInvites();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async createInvite(payload) {
+        try {
+          const response = await this.api('/createInvite', payload);
+          await this.shareInvite(response.invite);
+          this.loadInvites();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      async deleteInvite(code) {
+        if (!confirm('Supprimer cette invitation ? Le lien ne fonctionnera plus.')) return;
+        try {
+          await this.api('/deleteInvite', { code });
+          this.toast('Invitation supprimée');
+          this.loadInvites();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      getInviteLink(invite) {
+        return `${window.location.origin}/?invite=${encodeURIComponent(invite.code)}`;
+      },
+      async shareInvite(invite) {
+        const url = this.getInviteLink(invite);
+        if (navigator.share) {
+          try {
+            await navigator.share({ title: 'Badly', text: 'Rejoins-nous sur Badly pour jouer au badminton !', url });
+            return;
+          } catch (err) {
+            if (err.name === 'AbortError') return;
+          }
+        }
+        try {
+          await navigator.clipboard.writeText(url);
+          this.toast('Lien d\'invitation copié');
+        } catch (err) {
+          this.toast(`Lien d'invitation : ${url}`);
+        }
+      },
+      renderInvites() {
+        const list = this.$invitesList;
+        list.innerHTML = '';
+        const formatter = new Intl.DateTimeFormat('fr-FR', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+        (this.state.invites || []).forEach((invite) => {
+          const item = document.createElement('article');
+          item.className = 'history-item';
+
+          const title = document.createElement('div');
+          title.className = 'history-item-title';
+          const code = document.createElement('span');
+          code.className = 'invite-code';
+          code.textContent = invite.code;
+          const status = document.createElement('span');
+          status.className = 'history-item-date';
+          status.textContent = invite.usable
+            ? `Valable jusqu'au ${formatter.format(new Date(invite.expiresAt))}`
+            : 'Épuisée';
+          title.appendChild(code);
+          title.appendChild(status);
+
+          const meta = document.createElement('div');
+          meta.className = 'history-item-meta';
+          meta.textContent = `${invite.uses}/${invite.maxUses} utilisation(s)`;
+
+          item.appendChild(title);
+          item.appendChild(meta);
+
+          if (invite.usedBy.length) {
+            const people = document.createElement('div');
+            people.className = 'history-item-people';
+            people.textContent = `Inscrit(s) : ${invite.usedBy.join(', ')}`;
+            item.appendChild(people);
+          }
+
+          const actions = document.createElement('div');
+          actions.className = 'template-actions';
+          if (invite.usable) {
+            const shareBtn = document.createElement('button');
+            shareBtn.className = 'btn-primary';
+            shareBtn.textContent = 'Partager le lien';
+            shareBtn.addEventListener('click', () => this.shareInvite(invite));
+            actions.appendChild(shareBtn);
           }
+          const deleteBtn = document.createElement('button');
+          deleteBtn.className = 'btn-danger';
+          deleteBtn.textContent = 'Supprimer';
+          deleteBtn.addEventListener('click', () => this.deleteInvite(invite.code));
+          actions.appendChild(deleteBtn);
+          item.appendChild(actions);
+
+          list.appendChild(item);
+        });
+      },
+      openDevicesModal() {
+        this.state.devices = [];
+        this.renderDevices();
+        this.$devicesModal.classList.remove('hidden');
+        this.$backdrop.classList.remove('hidden');
+        this.lockScroll();
+        this.loadDevices();
+      },
+      closeDevicesModal() {
+        this.$devicesModal.classList.add('hidden');
+        this.$backdrop.classList.add('hidden');
+        this.unlockScroll();
+      },
+      async loadDevices() {
+        try {
+          const response = await this.api('/listDevices', null, { method: 'GET' });
+          this.state.devices = response.devices || [];
+          this.renderDevices();
         } catch (err) {
           this.toast(err.message, true);
         }
       },
+      async revokeDevice(device) {
+        const message = device.current ? 'Déconnecter cet appareil ?' : 'Déconnecter cet appareil à distance ?';
+        if (!confirm(message)) return;
+        try {
+          await this.api('/revokeDevice', { deviceId: device.id });
+          if (device.current) {
+            this.closeDevicesModal();
+            this.resetAfterSignout();
+            return;
+          }
+          this.toast('Appareil déconnecté');
+          this.loadDevices();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
+      describeUserAgent(userAgent) {
+        if (!userAgent) return 'Appareil inconnu';
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const systems = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+        const browser = browsers.find(([token]) => userAgent.includes(token));
+        const system = systems.find(([token]) => userAgent.includes(token));
+        if (!browser && !system) return userAgent.slice(0, 40);
+        return [browser && browser[1], system && system[1]].filter(Boolean).join(' • ');
+      },
+      renderDevices() {
+        const list = this.$devicesList;
+        list.innerHTML = '';
+        const formatter = new Intl.DateTimeFormat('fr-FR', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+        (this.state.devices || []).forEach((device) => {
+          const item = document.createElement('article');
+          item.className = 'history-item';
+
+          const title = document.createElement('div');
+          title.className = 'history-item-title';
+          const label = document.createElement('span');
+          label.textContent = this.describeUserAgent(device.userAgent);
+          title.appendChild(label);
+          if (device.current) {
+            const current = document.createElement('span');
+            current.className = 'device-current';
+            current.textContent = 'Cet appareil';
+            title.appendChild(current);
+          }
+
+          const meta = document.createElement('div');
+          meta.className = 'history-item-meta';
+          meta.textContent = `Connecté le ${formatter.format(new Date(device.createdAt))} • Dernière activité le ${formatter.format(new Date(device.lastSeenAt))}`;
+
+          const actions = document.createElement('div');
+          actions.className = 'template-actions';
+          const revokeBtn = document.createElement('button');
+          revokeBtn.className = 'btn-danger';
+          revokeBtn.textContent = 'Déconnecter';
+          revokeBtn.addEventListener('click', () => this.revokeDevice(device));
+          actions.appendChild(revokeBtn);
+
+          item.appendChild(title);
+          item.appendChild(meta);
+          item.appendChild(actions);
+          list.appendChild(item);
+        });
+      },
+      toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+      },
       formatDuration(minutes) {
         const total = Number(minutes) || 0;
         const hours = Math.floor(total / 60);
@@ -761,6 +2338,22 @@
           this.toast(err.message, true);
         }
       },
+      async cancelSessionFromModal() {
+        const sessionId = this.$sessionForm.elements.namedItem('sessionId').value;
+        if (!sessionId) return;
+
+        const reason = prompt('Annuler la session ? Les inscrits, la liste d\'attente et les intéressés seront prévenus.\nMotif (facultatif) :', '');
+        if (reason === null) return;
+
+        try {
+          await this.api('/cancelSession', { sessionId, reason: reason.trim() });
+          this.toast('Session annulée');
+          this.closeSessionModal();
+          this.refreshSessions();
+        } catch (err) {
+          this.toast(err.message, true);
+        }
+      },
       async deleteSession(sessionId) {
         if (!confirm('Supprimer cette session ?')) return;
         try {
@@ -774,6 +2367,11 @@
       async joinSession(sessionId) {
         try {
           const response = await this.api('/joinSession', { sessionId });
+          if (response.waitlistPosition) {
+            this.toast(`Session complète : vous êtes n°${response.waitlistPosition} en liste d'attente`);
+            this.refreshSessions();
+            return;
+          }
           this.toast('Inscription enregistrée');
           this.refreshSessions();
           if (response.session) {
@@ -783,10 +2381,10 @@
           this.toast(err.message, true);
         }
       },
-      async leaveSession(sessionId) {
+      async leaveSession(sessionId, fromWaitlist = false) {
         try {
           await this.api('/leaveSession', { sessionId });
-          this.toast('Désinscription enregistrée');
+          this.toast(fromWaitlist ? 'Vous avez quitté la liste d\'attente' : 'Désinscription enregistrée');
           this.refreshSessions();
         } catch (err) {
           this.toast(err.message, true);
@@ -884,6 +2482,12 @@
           return;
         }
 
+        // Même règle que le serveur pour les noms saisis à la main
+        if (!/^[\p{L}\p{N}][\p{L}\p{N} '._-]*$/u.test(name)) {
+          this.toast('Nom invalide (lettres, chiffres, espace, tiret, apostrophe ou point)', true);
+          return;
+        }
+
         // Vérifier si le nom est déjà dans la liste
         if (participants.some(p => p.toLowerCase() === name.toLowerCase())) {
           this.toast('Ce participant est deja inscrit', true);
@@ -934,33 +2538,27 @@
           this.toast(err.message, true);
         }
       },
+      // Lien d'invitation (?invite=CODE) : ouvrir l'inscription avec le code prérempli
+      applyInviteFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('invite');
+        if (!code) return;
+        params.delete('invite');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+        if (this.state.user) return;
+        const signupTab = Array.from(this.$authTabs).find((tab) => tab.dataset.mode === 'signup');
+        signupTab.click();
+        this.$signupForm.elements.namedItem('inviteCode').value = code;
+      },
       async restoreAuth() {
-        const payload = this.readAuthCookie();
-        if (!payload) {
-          this.showAuthModal();
-          return;
-        }
         try {
-          const response = await this.api('/signin', payload);
+          const response = await this.api('/me', null, { method: 'GET' });
           this.onAuthenticated(response.user);
         } catch (err) {
-          document.cookie = 'badlyAuth=; Max-Age=0; path=/';
           this.showAuthModal();
         }
-      },
-      readAuthCookie() {
-        const value = document.cookie.split('; ').find((part) => part.startsWith('badlyAuth='));
-        if (!value) return null;
-        const raw = decodeURIComponent(value.split('=')[1] || '');
-        try {
-          const parsed = JSON.parse(raw);
-          if (parsed && parsed.name && parsed.passwordHash) {
-            return parsed;
-          }
-        } catch (err) {
-          return null;
-        }
-        return null;
+        this.applyInviteFromUrl();
       },
       async api(path, body, extra = {}) {
         const method = extra.method || (body ? 'POST' : 'GET');
@@ -1000,15 +2598,8 @@
           throw new Error(data.error || fallbackMessage || 'Erreur serveur');
         }
 
-        if (data.user) {
-          this.updateAuthCookie(data.user);
-        }
         return data;
       },
-      updateAuthCookie(user) {
-        const value = encodeURIComponent(JSON.stringify({ name: user.name, passwordHash: user.passwordHash }));
-        document.cookie = `badlyAuth=${value}; Max-Age=2592000; path=/`;
-      },
       toast(message, isError = false) {
         const toast = document.createElement('div');
         toast.className = `toast${isError ? ' error' : ''}`;
@@ -1124,6 +2715,13 @@
           return;
         }
 
+        // Clic sur une notification alors que l'app est déjà ouverte
+        navigator.serviceWorker.addEventListener('message', (event) => {
+          if (event.data && event.data.type === 'open-session') {
+            this.openSessionFromNotification(event.data.sessionId, Boolean(event.data.chat));
+          }
+        });
+
         try {
           const registration = await navigator.serviceWorker.register('/service-worker.js');
           console.log('Service Worker enregistré:', registration);
@@ -1242,7 +2840,11 @@
         const start = new Date(session.datetime);
         const end = new Date(start.getTime() + (session.durationMinutes || 90) * 60000);
         const title = `Badminton - ${session.club}`;
-        const location = session.club;
+        const club = this.findClub(session);
+        const location = club && club.address ? `${club.name}, ${club.address}` : session.club;
+        const geo = club && club.latitude !== null && club.longitude !== null
+          ? { latitude: club.latitude, longitude: club.longitude }
+          : null;
         const participants = Array.isArray(session.participants) ? session.participants : [];
         const priceLabel = Number(session.pricePerParticipant) === 0 ? 'Gratuit' : `${session.pricePerParticipant} EUR`;
         const description = [
@@ -1255,7 +2857,7 @@
           'https://badly.ovh'
         ].join('\n');
 
-        return { title, location, description, start, end, sessionId: session.id };
+        return { title, location, geo, description, start, end, sessionId: session.id };
       },
       buildGoogleCalendarUrl(details) {
         const fmt = (d) => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
@@ -1303,6 +2905,7 @@
           foldLine(`SUMMARY:${escapeIcs(details.title)}`),
           foldLine(`DESCRIPTION:${escapeIcs(details.description)}`),
           foldLine(`LOCATION:${escapeIcs(details.location)}`),
+          ...(details.geo ? [`GEO:${details.geo.latitude};${details.geo.longitude}`] : []),
           'END:VEVENT',
           'END:VCALENDAR'
         ];
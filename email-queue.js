@@ -0,0 +1,131 @@
+// Persistent email delivery queue.
+// One delivery per (notification, user), holding the rendered message. SMTP failures are retried
+// with backoff, except when the server rejects the message for good (5xx reply).
+// Delivery is at-least-once: a crash between a send and its bookkeeping sends the message again.
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// 5xx replies are permanent (unknown mailbox, rejected content); 4xx and network errors are not
+function isPermanent(err) {
+  const code = err && err.responseCode;
+  return Number.isInteger(code) && code >= 500 && code < 600;
+}
+
+function createEmailQueue({
+  send,
+  maxAttempts = 5,
+  baseRetryDelayMs = 60 * 1000,
+  maxRetryDelayMs = 60 * 60 * 1000,
+  retentionMs = 7 * 24 * 60 * 60 * 1000,
+  maxRecords = 2000,
+  pollIntervalMs = 30 * 1000,
+  log = () => {}
+}) {
+  let processing = false;
+  let pendingRun = false;
+
+  function retryDelay(attempts) {
+    return Math.min(maxRetryDelayMs, baseRetryDelayMs * 2 ** (attempts - 1));
+  }
+
+  // Drop old finished deliveries, keeping the newest ones within `maxRecords`
+  function prune(deliveries, now) {
+    const kept = deliveries.filter((delivery) => delivery.status === 'pending'
+      || now - new Date(delivery.completedAt || delivery.createdAt).getTime() < retentionMs);
+    return kept.length > maxRecords ? kept.slice(kept.length - maxRecords) : kept;
+  }
+
+  // `message` is { subject, text, html }; returns the delivery id once it is stored
+  function enqueue(userName, to, message) {
+    const now = new Date();
+    const deliveries = storage.readEmailDeliveries();
+    const id = crypto.randomUUID();
+    deliveries.push({
+      id,
+      userName,
+      to,
+      message,
+      status: 'pending',
+      attempts: 0,
+      createdAt: now.toISOString(),
+      nextAttemptAt: now.toISOString(),
+      completedAt: null,
+      lastError: null
+    });
+    storage.writeEmailDeliveries(prune(deliveries, now.getTime()));
+    schedule();
+    return id;
+  }
+
+  function schedule() {
+    setImmediate(() => {
+      processDue().catch((err) => log('Email queue processing failed:', err));
+    });
+  }
+
+  async function processDue() {
+    if (processing) {
+      pendingRun = true;
+      return;
+    }
+    processing = true;
+    try {
+      do {
+        pendingRun = false;
+        await processBatch();
+      } while (pendingRun);
+    } finally {
+      processing = false;
+    }
+  }
+
+  // Messages go out one at a time: SMTP servers throttle parallel connections
+  async function processBatch() {
+    const now = Date.now();
+    const due = storage.readEmailDeliveries()
+      .filter((delivery) => delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now);
+
+    for (const delivery of due) {
+      let error = null;
+      try {
+        await send(delivery.to, delivery.message);
+      } catch (err) {
+        error = err;
+        log(`Email to ${delivery.userName} failed (${err.responseCode || err.code || 'error'})`);
+      }
+      record(delivery.id, error);
+    }
+  }
+
+  // Re-read before writing: deliveries may have been enqueued while sending
+  function record(id, error) {
+    const finishedAt = new Date();
+    const deliveries = storage.readEmailDeliveries();
+    const delivery = deliveries.find((entry) => entry.id === id);
+    if (!delivery) return;
+
+    delivery.attempts++;
+    delivery.lastError = error ? String(error.responseCode || error.message || error) : null;
+    if (error && !isPermanent(error) && delivery.attempts < maxAttempts) {
+      delivery.nextAttemptAt = new Date(finishedAt.getTime() + retryDelay(delivery.attempts)).toISOString();
+    } else {
+      delivery.status = error ? 'failed' : 'sent';
+      delivery.completedAt = finishedAt.toISOString();
+    }
+    storage.writeEmailDeliveries(prune(deliveries, finishedAt.getTime()));
+  }
+
+  // Retries are picked up by polling; new deliveries are processed right away
+  function start() {
+    const timer = setInterval(schedule, pollIntervalMs);
+    timer.unref();
+    schedule();
+  }
+
+  return { enqueue, processDue, start };
+}
+
+module.exports = {
+  createEmailQueue
+};
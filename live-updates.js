@@ -0,0 +1,82 @@
+// Server-Sent Events hub: keeps the open streams and fans events out to them.
+// Streams live in this process only; clients reconnect and resync after a restart.
+
+const RETRY_HINT_MS = 5000;
+
+function createEventHub() {
+  const clients = new Set();
+
+  // A stream that ended (client gone, or closed by us) is dropped instead of written to
+  function write(client, chunk) {
+    if (client.res.writableEnded || client.res.destroyed) {
+      clients.delete(client);
+      return;
+    }
+    client.res.write(chunk);
+  }
+
+  function send(client, event, data) {
+    write(client, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Turn the response into an event stream; `meta` is kept on the client for filtering
+  function open(req, res, meta = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx-style reverse proxies
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_HINT_MS}\n\n`);
+
+    const client = { ...meta, res };
+    clients.add(client);
+    req.on('close', () => clients.delete(client));
+    // A write racing the disconnect fails here; without a listener it would crash the process
+    res.on('error', () => clients.delete(client));
+    return client;
+  }
+
+  function broadcast(event, data, filter = () => true) {
+    for (const client of clients) {
+      if (filter(client)) {
+        send(client, event, data);
+      }
+    }
+  }
+
+  function close(predicate) {
+    let closed = 0;
+    for (const client of clients) {
+      if (predicate(client)) {
+        clients.delete(client);
+        client.res.end();
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  // Keep idle connections open through proxies and drop the ones that are no longer valid
+  function heartbeat(isValid = () => true) {
+    close((client) => !isValid(client));
+    for (const client of clients) {
+      write(client, ': ping\n\n');
+    }
+  }
+
+  function count(predicate = () => true) {
+    let total = 0;
+    for (const client of clients) {
+      if (predicate(client)) total++;
+    }
+    return total;
+  }
+
+  return { open, broadcast, close, heartbeat, count, size: () => clients.size };
+}
+
+module.exports = {
+  createEventHub
+};
@@ -0,0 +1,122 @@
+// Migration ponctuelle des fichiers JSON (data/*.json et leurs .bak) vers la base SQLite
+// Usage : node migrate-json-to-sqlite.js [--force] [--include-bak]
+// Les fichiers JSON ne sont pas modifiés. Les enregistrements présents seulement dans un .bak
+// (le plus souvent supprimés depuis) sont signalés, et importés avec --include-bak.
+const fs = require('fs');
+const path = require('path');
+
+try {
+  require('dotenv').config();
+} catch (err) {
+  // variables d'environnement système uniquement
+}
+
+const storage = require('./storage');
+const { openSqliteBackend } = require('./storage-sqlite');
+
+const FORCE = process.argv.includes('--force');
+const INCLUDE_BAK = process.argv.includes('--include-bak');
+
+function parseJsonArray(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const parsed = raw.trim() ? JSON.parse(raw) : [];
+  if (!Array.isArray(parsed)) {
+    throw new Error(`Contenu invalide dans ${path.basename(filePath)} : tableau attendu`);
+  }
+  return parsed;
+}
+
+function tryParse(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return parseJsonArray(filePath);
+  } catch (err) {
+    console.warn(`⚠️  ${path.basename(filePath)} illisible : ${err.message}`);
+    return null;
+  }
+}
+
+// Lire le fichier principal, ou sa copie .bak s'il est absent ou illisible.
+// Quand les deux sont lisibles, les enregistrements du .bak absents du principal sont
+// comptés dans `bakOnly`, et ajoutés avec --include-bak
+function loadCollection(name) {
+  const filePath = storage.getCollectionPath(name);
+  const backupPath = storage.getBackupPath(filePath);
+  const main = tryParse(filePath);
+  const backup = tryParse(backupPath);
+
+  if (!main) {
+    if (backup) {
+      return { records: backup, source: path.basename(backupPath), bakOnly: [] };
+    }
+    if (fs.existsSync(filePath) || fs.existsSync(backupPath)) {
+      throw new Error(`Aucune copie lisible pour ${name}`);
+    }
+    return null;
+  }
+
+  const keyOf = storage.COLLECTION_KEYS[name];
+  const keys = new Set(main.map(keyOf));
+  const bakOnly = (backup || []).filter((record) => !keys.has(keyOf(record)));
+  if (bakOnly.length === 0 || !INCLUDE_BAK) {
+    return { records: main, source: path.basename(filePath), bakOnly };
+  }
+  return {
+    records: main.concat(bakOnly),
+    source: `${path.basename(filePath)} + ${bakOnly.length} depuis ${path.basename(backupPath)}`,
+    bakOnly: []
+  };
+}
+
+function migrate() {
+  const names = Object.keys(storage.COLLECTION_KEYS);
+  const loaded = {};
+  for (const name of names) {
+    loaded[name] = loadCollection(name);
+  }
+
+  console.log(`📦 Migration JSON -> SQLite (${path.relative(__dirname, storage.SQLITE_FILE)})`);
+  const db = openSqliteBackend(storage.SQLITE_FILE, storage.COLLECTION_KEYS);
+  try {
+    const nonEmpty = names.filter((name) => db.count(name) > 0);
+    if (nonEmpty.length > 0 && !FORCE) {
+      throw new Error(`La base contient déjà des données (${nonEmpty.join(', ')}). Relancez avec --force pour les remplacer.`);
+    }
+
+    for (const name of names) {
+      const entry = loaded[name];
+      if (!entry) {
+        // Avec --force, la base devient une copie exacte des fichiers : sans fichier, collection vide
+        const previous = db.count(name);
+        if (previous > 0) {
+          db.write(name, []);
+          console.log(`- ${name} : aucun fichier, ${previous} enregistrement(s) existant(s) supprimé(s)`);
+        } else {
+          console.log(`- ${name} : aucun fichier, ignoré`);
+        }
+        continue;
+      }
+      db.write(name, entry.records);
+      const count = db.count(name);
+      if (count !== entry.records.length) {
+        throw new Error(`${name} : ${count} enregistrement(s) en base au lieu de ${entry.records.length}`);
+      }
+      console.log(`- ${name} : ${count} enregistrement(s) importé(s) depuis ${entry.source}`);
+      if (entry.bakOnly.length > 0) {
+        const sample = entry.bakOnly.slice(0, 5).map(storage.COLLECTION_KEYS[name]).join(', ');
+        console.warn(`  ⚠️  ${entry.bakOnly.length} enregistrement(s) présent(s) seulement dans le .bak, non importé(s) : ${sample}${entry.bakOnly.length > 5 ? ', …' : ''} (--include-bak pour les importer)`);
+      }
+    }
+  } finally {
+    db.close();
+  }
+
+  console.log('✅ Migration terminée. Activez la base avec STORAGE_BACKEND=sqlite dans .env');
+}
+
+try {
+  migrate();
+} catch (err) {
+  console.error(`❌ Migration échouée : ${err.message}`);
+  process.exitCode = 1;
+}
@@ -1,4 +1,8 @@
+const crypto = require('crypto');
 const storage = require('./storage');
+const { createPushQueue } = require('./push-queue');
+const { createEmailQueue } = require('./email-queue');
+const { createScheduler } = require('./scheduler');
 
 const DEBUG = process.env.DEBUG === 'true';
 
@@ -32,8 +36,104 @@ try {
   console.warn('Installez avec: npm install web-push');
 }
 
-const REMINDER_MINUTES_BEFORE_START = 45;
-const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+// Canal e-mail (optionnel) : actif dès que SMTP_HOST est renseigné
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+const SMTP_FROM = process.env.SMTP_FROM || 'Badly <no-reply@localhost>';
+// Adresse publique de l'app, pour les liens dans les e-mails
+const APP_URL = (process.env.APP_URL || '').replace(/\/+$/, '');
+
+let mailTransport = null;
+if (SMTP_HOST) {
+  try {
+    const nodemailer = require('nodemailer');
+    mailTransport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined
+    });
+    console.log(`E-mail configuré (${SMTP_HOST}:${SMTP_PORT})`);
+  } catch (err) {
+    console.warn('nodemailer non disponible - les notifications par e-mail ne fonctionneront pas');
+    console.warn('Installez avec: npm install nodemailer');
+  }
+}
+
+const DEFAULT_REMINDER_MINUTES_BEFORE_START = 45;
+// Rappel rattrapé après un arrêt du serveur : au plus REMINDER_GRACE_MS de retard.
+// Plusieurs rappels d'une même session à moins de REMINDER_COLLAPSE_MS d'écart ne font qu'un envoi
+const REMINDER_GRACE_MS = 30 * 60 * 1000;
+const REMINDER_COLLAPSE_MS = 60 * 1000;
+// Résumé : un résumé en retard de plus de DIGEST_GRACE_MS (serveur arrêté) est abandonné
+const DIGEST_GRACE_MS = 2 * 60 * 60 * 1000;
+const DIGEST_HORIZON_DAYS = { daily: 1, weekly: 7 };
+const MAX_DIGEST_ITEMS_PER_SECTION = 5;
+// Places libérées : les followers sont prévenus avant les autres joueurs intéressés,
+// et une même session ne déclenche pas plus d'une alerte par période
+const SPOT_AVAILABLE_FOLLOWERS_HEAD_START_MS = 5 * 60 * 1000;
+const SPOT_AVAILABLE_THROTTLE_MS = 30 * 60 * 1000;
+const SPOT_AVAILABLE_GRACE_MS = 30 * 60 * 1000;
+
+// sessionId -> date de la dernière alerte (en mémoire : un redémarrage ne fait que lever la limite)
+const spotAlerts = new Map();
+// File d'envoi push : envois simultanés et nombre de tentatives par notification
+const PUSH_CONCURRENCY = parseInt(process.env.PUSH_CONCURRENCY, 10) || 5;
+const PUSH_MAX_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS, 10) || 5;
+// File d'envoi e-mail : tentatives par message (serveur SMTP injoignable, erreurs 4xx)
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+// Boîte de réception dans l'app : entrées conservées par utilisateur
+const MAX_INBOX_ITEMS_PER_USER = 50;
+const INBOX_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+let inboxListener = null;
+
+// Préférences par utilisateur : un interrupteur par type de notification, des filtres club/niveau
+// pour les nouvelles sessions et des heures calmes (heure locale du serveur)
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  newSession: true,
+  participants: true,
+  chat: true,
+  reminders: true,
+  spotAvailable: true,
+  clubIds: [],
+  levels: [],
+  quietHours: { enabled: false, start: '22:00', end: '08:00' },
+  // { type: 'before', minutes } ou { type: 'dayBefore', time: 'HH:MM' }
+  reminderOffsets: [{ type: 'before', minutes: DEFAULT_REMINDER_MINUTES_BEFORE_START }],
+  // Résumé des sessions à venir : frequency 'off', 'daily' ou 'weekly' (day : 0 = dimanche)
+  digest: { frequency: 'off', day: 1, time: '18:00' },
+  // Canal par groupe de notifications : 'push', 'email' ou 'both'
+  channels: {
+    newSession: 'push',
+    spotAvailable: 'push',
+    participants: 'push',
+    chat: 'push',
+    reminders: 'push',
+    sessionChanges: 'push',
+    // L'e-mail n'est envoyé que si une adresse est renseignée
+    digest: 'both'
+  }
+};
+
+// Type de notification -> préférence qui le contrôle (null : toujours envoyé),
+// groupe de canal et urgence (les notifications urgentes ignorent les heures calmes)
+const NOTIFICATION_KINDS = {
+  newSession: { preference: 'newSession', channel: 'newSession', urgent: false },
+  spotAvailable: { preference: 'spotAvailable', channel: 'spotAvailable', urgent: false },
+  participantJoined: { preference: 'participants', channel: 'participants', urgent: false },
+  participantLeft: { preference: 'participants', channel: 'participants', urgent: false },
+  chat: { preference: 'chat', channel: 'chat', urgent: false },
+  reminder: { preference: 'reminders', channel: 'reminders', urgent: true },
+  waitlistPromoted: { preference: null, channel: 'sessionChanges', urgent: true },
+  sessionUpdated: { preference: null, channel: 'sessionChanges', urgent: true },
+  sessionCancelled: { preference: null, channel: 'sessionChanges', urgent: true },
+  // Activé par digest.frequency, vérifié par le planificateur
+  digest: { preference: null, channel: 'digest', urgent: false }
+};
 
 // Collect push subscriptions from users array
 function getAllSubscriptions(users, { targetUser = null, excludedUsers = null } = {}) {
@@ -66,6 +166,103 @@ function getAllSubscriptions(users, { targetUser = null, excludedUsers = null }
   return results;
 }
 
+function getNotificationPreferences(user) {
+  const stored = (user && user.notificationPreferences) || {};
+  return {
+    ...DEFAULT_NOTIFICATION_PREFERENCES,
+    ...stored,
+    quietHours: { ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours, ...(stored.quietHours || {}) },
+    digest: { ...DEFAULT_NOTIFICATION_PREFERENCES.digest, ...(stored.digest || {}) },
+    channels: { ...DEFAULT_NOTIFICATION_PREFERENCES.channels, ...(stored.channels || {}) }
+  };
+}
+
+function isEmailEnabled() {
+  return Boolean(mailTransport);
+}
+
+// 'push' | 'email' | 'both' : l'utilisateur reçoit-il ce type de notification par ce canal ?
+function usesChannel(user, kind, channel) {
+  const selected = getNotificationPreferences(user).channels[NOTIFICATION_KINDS[kind].channel];
+  return selected === 'both' || selected === channel;
+}
+
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Fin des heures calmes en cours, ou null si l'utilisateur peut être notifié maintenant
+function getQuietHoursEnd(preferences, now = new Date()) {
+  const { enabled, start, end } = preferences.quietHours;
+  if (!enabled) return null;
+
+  const startMinutes = parseTimeOfDay(start);
+  const endMinutes = parseTimeOfDay(end);
+  if (startMinutes === endMinutes) return null;
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const inQuietHours = startMinutes < endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+  if (!inQuietHours) return null;
+
+  const releaseAt = new Date(now);
+  releaseAt.setHours(Math.floor(endMinutes / 60), endMinutes % 60, 0, 0);
+  if (releaseAt <= now) {
+    releaseAt.setDate(releaseAt.getDate() + 1);
+  }
+  return releaseAt;
+}
+
+// Les sessions sans club référencé (anciennes données) passent le filtre club
+function matchesSessionFilters(preferences, session) {
+  if (preferences.levels.length > 0 && !preferences.levels.includes(session.level)) return false;
+  if (preferences.clubIds.length > 0 && session.clubId && !preferences.clubIds.includes(session.clubId)) return false;
+  return true;
+}
+
+// Intérêt déclaré : au moins un filtre renseigné, et tous ceux renseignés correspondent.
+// Sans filtre, un joueur ne fait pas partie des « intéressés » d'une session précise
+function hasMatchingInterest(preferences, session) {
+  const { levels, clubIds } = preferences;
+  if (levels.length === 0 && clubIds.length === 0) return false;
+  if (levels.length > 0 && !levels.includes(session.level)) return false;
+  if (clubIds.length > 0 && !clubIds.includes(session.clubId)) return false;
+  return true;
+}
+
+// Les filtres club/niveau désignent qui est concerné par une session ; les autres notifications
+// concernent tous leurs destinataires
+function isConcerned(user, notification) {
+  const preferences = getNotificationPreferences(user);
+  if (notification.kind === 'newSession' && notification.session) {
+    return matchesSessionFilters(preferences, notification.session);
+  }
+  // Qui suit une session veut ses places libérées, quels que soient ses filtres ;
+  // les autres seulement si leurs filtres désignent cette session
+  if (notification.kind === 'spotAvailable' && notification.session) {
+    return (notification.session.followers || []).includes(user.name)
+      || hasMatchingInterest(preferences, notification.session);
+  }
+  return true;
+}
+
+// Un type de notification désactivé coupe le push et l'e-mail, pas la boîte de réception
+function wantsNotification(user, notification) {
+  const { preference } = NOTIFICATION_KINDS[notification.kind];
+  return !preference || Boolean(getNotificationPreferences(user)[preference]);
+}
+
+// Organisateur, participants et liste d'attente
+function getSessionMembers(session) {
+  return [session.organizer, ...(session.participants || []), ...(session.waitlist || [])].filter(Boolean);
+}
+
+function getFreePlaces(session) {
+  return session.capacity - (session.participants || []).length - 1; // -1 pour l'organisateur
+}
+
 // Formater la date de session pour les notifications
 function formatSessionDate(session) {
   const sessionDate = new Date(session.datetime);
@@ -79,56 +276,276 @@ function formatSessionDate(session) {
   return dateFormatter.format(sessionDate);
 }
 
-// Envoyer une notification push et nettoyer les abonnements expirés
-async function sendPushNotifications(title, body, tag, targetUser = null, excludedUsers = null) {
-  if (!webpush) {
-    debugLog('web-push non disponible, notifications désactivées');
-    return;
+// Supprimer les abonnements que le service push déclare expirés (404/410)
+function removeExpiredSubscriptions(endpoints) {
+  const expired = new Set(endpoints);
+  const users = storage.readUsers();
+  for (const user of users) {
+    if (user.pushSubscriptions) {
+      user.pushSubscriptions = user.pushSubscriptions.filter(
+        sub => !expired.has(sub.endpoint)
+      );
+    }
+  }
+  storage.writeUsers(users);
+  debugLog(`${expired.size} abonnements expirés supprimés`);
+}
+
+// Les envois passent par une file persistante : parallélisme borné, nouvelles tentatives, résultats conservés
+const pushQueue = createPushQueue({
+  send: (subscription, payload) => webpush.sendNotification(subscription, payload),
+  getSubscriptions: (userName) => getAllSubscriptions(storage.readUsers(), { targetUser: userName }),
+  removeSubscriptions: removeExpiredSubscriptions,
+  concurrency: PUSH_CONCURRENCY,
+  maxAttempts: PUSH_MAX_ATTEMPTS,
+  log: debugLog
+});
+
+// Échéances persistantes (rappels, résumés, fin des heures calmes, seconde vague des places libérées) :
+// elles partent à l'heure, survivent aux redémarrages et ne sont marquées faites qu'une fois l'envoi enregistré
+const scheduler = createScheduler({
+  handlers: {
+    reminder: { run: runReminderJob, graceMs: REMINDER_GRACE_MS },
+    digest: { run: runDigestJob, graceMs: DIGEST_GRACE_MS },
+    releaseHeld: { run: releaseHeldNotifications },
+    spotAvailable: { run: ({ sessionId }) => notifyInterestedPlayers(sessionId), graceMs: SPOT_AVAILABLE_GRACE_MS }
+  },
+  log: debugLog
+});
+
+// Boutons proposés dans la notification ; le service worker appelle l'API correspondante
+const JOIN_ACTION = { action: 'join', title: 'Je viens' };
+const PUSH_ACTIONS = {
+  newSession: [JOIN_ACTION],
+  spotAvailable: [JOIN_ACTION],
+  // Réponse directe là où le navigateur le permet, sinon ouverture du chat
+  chat: [{ action: 'reply', title: 'Répondre', type: 'text', placeholder: 'Votre message' }]
+};
+
+function buildPushPayload(notification) {
+  const sessionId = notification.session ? notification.session.id : notification.sessionId || null;
+  return {
+    title: notification.title,
+    body: notification.body,
+    tag: notification.tag,
+    kind: notification.kind,
+    sessionId,
+    url: sessionId ? `/?session=${encodeURIComponent(sessionId)}` : '/',
+    actions: sessionId ? PUSH_ACTIONS[notification.kind] || [] : []
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Gabarits de l'e-mail : version texte et version HTML du même contenu
+function renderEmail(user, notification) {
+  const { url } = buildPushPayload(notification);
+  const link = APP_URL ? `${APP_URL}${url}` : null;
+  const footer = 'Vous recevez cet e-mail selon vos préférences de notification Badly (menu Notifications de l\'app).';
+
+  const text = [
+    `Bonjour ${user.name},`,
+    '',
+    notification.title,
+    notification.body,
+    '',
+    ...(link ? [`Voir la session : ${link}`, ''] : []),
+    '--',
+    footer
+  ].join('\n');
+
+  const bodyHtml = escapeHtml(notification.body).replace(/\n/g, '<br>');
+  const html = `<!DOCTYPE html>
+<html lang="fr">
+<body style="margin:0;padding:24px;background:#f4f4f8;font-family:Arial,Helvetica,sans-serif;color:#1f2333;">
+  <div style="max-width:480px;margin:0 auto;background:#ffffff;border:1px solid #d5d7e3;border-radius:12px;padding:24px;">
+    <p style="margin:0 0 16px;">Bonjour ${escapeHtml(user.name)},</p>
+    <h1 style="margin:0 0 8px;font-size:18px;color:#202245;">${escapeHtml(notification.title)}</h1>
+    <p style="margin:0 0 16px;line-height:1.5;">${bodyHtml}</p>
+    ${link ? `<p style="margin:0 0 16px;"><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 16px;background:#202245;color:#ffffff;border-radius:8px;text-decoration:none;font-weight:bold;">Voir la session</a></p>` : ''}
+    <p style="margin:16px 0 0;font-size:12px;color:#5c6075;">${escapeHtml(footer)}</p>
+  </div>
+</body>
+</html>`;
+
+  return { subject: notification.title, text, html };
+}
+
+// Comme le push, l'e-mail passe par une file persistante : une panne SMTP passagère ne perd rien
+const emailQueue = createEmailQueue({
+  send: (to, message) => mailTransport.sendMail({ from: SMTP_FROM, to, ...message }),
+  maxAttempts: EMAIL_MAX_ATTEMPTS,
+  log: debugLog
+});
+
+function enqueueEmailNotification(user, notification) {
+  const id = emailQueue.enqueue(user.name, user.email, renderEmail(user, notification));
+  debugLog(`E-mail ${notification.kind} pour ${user.name} mis en file`);
+  return id;
+}
+
+// Envoi direct d'un exemple, pour vérifier la configuration SMTP (npm run email:test)
+async function sendTestEmail(address) {
+  if (!mailTransport) {
+    throw new Error('SMTP non configuré : renseignez SMTP_HOST');
   }
+  const notification = {
+    kind: 'newSession',
+    title: '🏸 Nouvelle session de bad !',
+    body: `Club de test - ${formatSessionDate({ datetime: new Date().toISOString() })}\nNiveau: moyen\nOrganisé par Badly`,
+    tag: 'test',
+    sessionId: 'test'
+  };
+  return mailTransport.sendMail({ from: SMTP_FROM, to: address, ...renderEmail({ name: address }, notification) });
+}
+
+// Mettre de côté jusqu'à la fin des heures calmes ; une notification plus récente avec le même tag remplace l'ancienne
+function holdNotification(userName, notification, releaseAt) {
+  const held = storage.readHeldNotifications()
+    .filter((entry) => !(entry.userName === userName && entry.tag === notification.tag));
+  const id = crypto.randomUUID();
+  held.push({
+    id,
+    userName,
+    kind: notification.kind,
+    title: notification.title,
+    body: notification.body,
+    tag: notification.tag,
+    sessionId: notification.session ? notification.session.id : null,
+    releaseAt: releaseAt.toISOString()
+  });
+  storage.writeHeldNotifications(held);
+  scheduleHeldReleases();
+  debugLog(`Notification pour ${userName} retenue jusqu'à ${releaseAt.toISOString()}`);
+  return id;
+}
+
+// Une échéance par heure de fin des heures calmes en attente
+function scheduleHeldReleases() {
+  const releaseTimes = new Set(storage.readHeldNotifications().map((entry) => entry.releaseAt));
+  scheduler.replace('releaseHeld', Array.from(releaseTimes, (releaseAt) => ({ id: `releaseHeld:${releaseAt}`, dueAt: releaseAt })));
+}
+
+// Ne garder que les MAX_INBOX_ITEMS_PER_USER entrées les plus récentes de chaque utilisateur
+function pruneInbox(entries, now) {
+  const counts = new Map();
+  const kept = [];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    const count = counts.get(entry.userName) || 0;
+    if (count >= MAX_INBOX_ITEMS_PER_USER || now - new Date(entry.createdAt).getTime() > INBOX_RETENTION_MS) continue;
+    counts.set(entry.userName, count + 1);
+    kept.push(entry);
+  }
+  return kept.reverse();
+}
 
+// Boîte de réception : chaque notification est aussi conservée pour l'affichage dans l'app,
+// y compris pour les utilisateurs sans abonnement push
+function storeInInbox(userNames, notification) {
+  const now = new Date();
+  const entries = storage.readInbox();
+  for (const userName of userNames) {
+    entries.push({
+      id: crypto.randomUUID(),
+      userName,
+      kind: notification.kind,
+      title: notification.title,
+      body: notification.body,
+      sessionId: notification.session ? notification.session.id : null,
+      createdAt: now.toISOString(),
+      readAt: null
+    });
+  }
+  storage.writeInbox(pruneInbox(entries, now.getTime()));
+  if (inboxListener) {
+    userNames.forEach((userName) => inboxListener(userName));
+  }
+}
+
+// Prévenir le serveur (flux temps réel) quand la boîte de réception d'un utilisateur change
+function onInboxUpdated(listener) {
+  inboxListener = listener;
+}
+
+// Distribuer une notification en respectant les préférences de chaque destinataire :
+// boîte de réception pour tous, puis push et/ou e-mail selon le canal choisi
+// notification : { kind, title, body, tag, session? }
+// Renvoie les identifiants des envois enregistrés ({ email, push, held }) ; une erreur
+// d'enregistrement est propagée, pour qu'un job planifié soit retenté plutôt que marqué fait
+async function dispatchNotification(notification, { targetUser = null, targetUsers = null, excludedUsers = null } = {}) {
+  const deliveries = { email: [], push: [], held: [] };
   const users = storage.readUsers();
-  const subscriptions = getAllSubscriptions(users, { targetUser, excludedUsers });
+  const targets = targetUsers || (targetUser ? [targetUser] : null);
+  const targeted = targets && new Set(targets.filter(Boolean).map((name) => name.toLowerCase()));
+  const excluded = new Set((excludedUsers || []).filter(Boolean).map((name) => name.toLowerCase()));
+  const audience = users.filter((user) => (!targeted || targeted.has(user.name.toLowerCase()))
+    && !excluded.has(user.name.toLowerCase())
+    && isConcerned(user, notification));
+  if (audience.length === 0) {
+    debugLog(`Notification ${notification.kind} : aucun destinataire`);
+    return deliveries;
+  }
 
-  if (subscriptions.length === 0) {
-    debugLog(targetUser ? `Aucun abonnement push trouvé pour ${targetUser}` : 'Aucun abonnement push enregistré');
-    return;
+  storeInInbox(audience.map((user) => user.name), notification);
+  const recipients = audience.filter((user) => wantsNotification(user, notification));
+
+  // Les e-mails ne sonnent pas : ils partent sans attendre la fin des heures calmes
+  if (mailTransport) {
+    recipients.filter((user) => user.email && usesChannel(user, notification.kind, 'email'))
+      .forEach((user) => deliveries.email.push(enqueueEmailNotification(user, notification)));
   }
 
-  const notificationPayload = {
-    title,
-    body,
-    tag,
-    url: '/'
-  };
+  if (!webpush) {
+    debugLog('web-push non disponible, notifications push désactivées');
+    return deliveries;
+  }
 
-  const payload = JSON.stringify(notificationPayload);
-  const failedEndpoints = [];
-
-  for (const subscription of subscriptions) {
-    try {
-      await webpush.sendNotification(subscription, payload);
-      debugLog(`Notification envoyée à ${subscription.endpoint.substring(0, 50)}...`);
-    } catch (err) {
-      debugError(`Échec d'envoi de notification:`, err);
-      if (err.statusCode === 410 || err.statusCode === 404) {
-        failedEndpoints.push(subscription.endpoint);
-      }
+  // Une seule livraison par utilisateur, quel que soit son nombre d'appareils
+  const now = new Date();
+  const { urgent } = NOTIFICATION_KINDS[notification.kind];
+  for (const user of recipients) {
+    if (!user.pushSubscriptions || user.pushSubscriptions.length === 0) continue;
+    if (!usesChannel(user, notification.kind, 'push')) continue;
+
+    const releaseAt = urgent ? null : getQuietHoursEnd(getNotificationPreferences(user), now);
+    if (releaseAt) {
+      deliveries.held.push(holdNotification(user.name, notification, releaseAt));
+      continue;
     }
+    deliveries.push.push(pushQueue.enqueue(user.name, buildPushPayload(notification)));
   }
+  return deliveries;
+}
 
-  // Nettoyer les abonnements expirés
-  if (failedEndpoints.length > 0) {
-    const failedSet = new Set(failedEndpoints);
-    for (const user of users) {
-      if (user.pushSubscriptions) {
-        user.pushSubscriptions = user.pushSubscriptions.filter(
-          sub => !failedSet.has(sub.endpoint)
-        );
-      }
+// Envoyer les notifications retenues dont les heures calmes sont terminées
+async function releaseHeldNotifications() {
+  const held = storage.readHeldNotifications();
+  const now = new Date();
+  const due = held.filter((entry) => new Date(entry.releaseAt) <= now);
+  const deliveries = { push: [] };
+  if (due.length === 0) return deliveries;
+
+  if (webpush) {
+    const users = storage.readUsers();
+    for (const entry of due) {
+      const user = users.find((u) => u.name === entry.userName);
+      // La préférence ou le canal ont pu changer entre-temps
+      if (!user || !wantsNotification(user, entry) || !usesChannel(user, entry.kind, 'push')) continue;
+      deliveries.push.push(pushQueue.enqueue(entry.userName, buildPushPayload(entry)));
     }
-    storage.writeUsers(users);
-    debugLog(`${failedEndpoints.length} abonnements expirés supprimés`);
   }
+  // Retirées une fois confiées à la file d'envoi
+  const released = new Set(due.map((entry) => entry.id));
+  storage.writeHeldNotifications(storage.readHeldNotifications().filter((entry) => !released.has(entry.id)));
+  return deliveries;
 }
 
 // Notification pour une nouvelle session
@@ -139,17 +556,62 @@ async function sendNewSessionNotification(session) {
   const tag = `session-${session.id}`;
 
   const excludedUsers = session.organizer ? [session.organizer] : null;
-  await sendPushNotifications(title, body, tag, null, excludedUsers);
+  await dispatchNotification({ kind: 'newSession', title, body, tag, session }, { excludedUsers });
 }
 
-// Notification quand une place se libère
-async function sendSpotAvailableNotification(session) {
+function buildSpotAvailableNotification(session) {
   const formattedDate = formatSessionDate(session);
   const title = '🎾 Une place s\'est libérée !';
   const body = `${session.club} - ${formattedDate}\nNiveau: ${session.level}`;
   const tag = `session-${session.id}-available`;
+  return { kind: 'spotAvailable', title, body, tag, session };
+}
 
-  await sendPushNotifications(title, body, tag);
+// Deuxième vague : les joueurs dont les filtres club/niveau correspondent, si la place est toujours libre
+async function notifyInterestedPlayers(sessionId) {
+  const session = storage.readSessions().find((s) => s.id === sessionId);
+  if (!session || session.cancelled || new Date(session.datetime) <= new Date()) return;
+  if (getFreePlaces(session) <= 0 || (session.waitlist || []).length > 0) {
+    debugLog(`Place de la session ${sessionId} déjà reprise, alerte élargie annulée`);
+    return;
+  }
+  return dispatchNotification(buildSpotAvailableNotification(session), {
+    excludedUsers: [...getSessionMembers(session), ...(session.followers || [])]
+  });
+}
+
+// Notification quand une place se libère : les followers d'abord, jamais les membres de la session
+async function sendSpotAvailableNotification(session) {
+  const now = Date.now();
+  for (const [sessionId, sentAt] of spotAlerts) {
+    if (now - sentAt >= SPOT_AVAILABLE_THROTTLE_MS) spotAlerts.delete(sessionId);
+  }
+  if (spotAlerts.has(session.id)) {
+    debugLog(`Alerte de place libérée pour la session ${session.id} ignorée (déjà envoyée récemment)`);
+    return;
+  }
+  spotAlerts.set(session.id, now);
+
+  const members = getSessionMembers(session);
+  const followers = (session.followers || []).filter((name) => !members.includes(name));
+  if (followers.length === 0) {
+    await notifyInterestedPlayers(session.id);
+    return;
+  }
+
+  await dispatchNotification(buildSpotAvailableNotification(session), { targetUsers: followers, excludedUsers: members });
+  scheduler.schedule(`spotAvailable:${session.id}:${now}`, 'spotAvailable',
+    new Date(now + SPOT_AVAILABLE_FOLLOWERS_HEAD_START_MS), { sessionId: session.id });
+}
+
+// Notification ciblée pour le premier de la liste d'attente quand il obtient une place
+async function sendWaitlistPromotedNotification(session, userName) {
+  const formattedDate = formatSessionDate(session);
+  const title = '✅ Vous avez une place !';
+  const body = `Une place s'est libérée : vous êtes inscrit à la session du ${formattedDate}\n${session.club}`;
+  const tag = `session-${session.id}-promoted`;
+
+  await dispatchNotification({ kind: 'waitlistPromoted', title, body, tag, session }, { targetUser: userName });
 }
 
 // Notification pour l'organisateur et les followers quand quelqu'un s'inscrit
@@ -162,7 +624,7 @@ async function sendParticipantJoinedNotification(session, participantName) {
   const recipients = [session.organizer, ...(session.followers || [])].filter(Boolean);
 
   for (const userName of recipients) {
-    await sendPushNotifications(title, body, tag, userName);
+    await dispatchNotification({ kind: 'participantJoined', title, body, tag, session }, { targetUser: userName });
   }
 }
 
@@ -176,21 +638,76 @@ async function sendParticipantLeftNotification(session, participantName) {
   const recipients = [session.organizer, ...(session.followers || [])].filter(Boolean);
 
   for (const userName of recipients) {
-    await sendPushNotifications(title, body, tag, userName);
+    await dispatchNotification({ kind: 'participantLeft', title, body, tag, session }, { targetUser: userName });
   }
 }
 
-async function sendSessionReminderNotification(session) {
+function formatDelay(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${minutes} minute${minutes > 1 ? 's' : ''}`;
+  return rest ? `${hours} h ${String(rest).padStart(2, '0')}` : `${hours} h`;
+}
+
+// Le titre donne le délai réel : un rappel peut partir en retard (inscription tardive, redémarrage)
+function formatReminderTitle(session, now) {
+  const start = new Date(session.datetime);
+  const minutesLeft = Math.max(1, Math.round((start.getTime() - now.getTime()) / 60000));
+  if (minutesLeft <= 180) {
+    return `⏰ Session dans ${formatDelay(minutesLeft)}`;
+  }
+  const time = new Intl.DateTimeFormat('fr-FR', { hour: '2-digit', minute: '2-digit' }).format(start);
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (start.toDateString() === now.toDateString()) return `⏰ Session aujourd'hui à ${time}`;
+  if (start.toDateString() === tomorrow.toDateString()) return `⏰ Session demain à ${time}`;
+  return `⏰ Session le ${formatSessionDate(session)}`;
+}
+
+async function sendSessionReminderNotification(session, userName, now = new Date()) {
   const formattedDate = formatSessionDate(session);
-  const title = '⏰ Session dans 45 minutes';
+  const title = formatReminderTitle(session, now);
   const body = `${session.club} - ${formattedDate}\nOn se retrouve bientôt sur le terrain !`;
   const tag = `session-${session.id}-reminder`;
 
-  const recipients = [session.organizer, ...(session.participants || [])].filter(Boolean);
-  if (recipients.length === 0) return;
+  return dispatchNotification({ kind: 'reminder', title, body, tag, session }, { targetUser: userName });
+}
 
-  for (const userName of recipients) {
-    await sendPushNotifications(title, body, tag, userName);
+// Notification de modification (résumé avant → après) pour les joueurs concernés
+async function sendSessionUpdatedNotification(session, changes, editedBy) {
+  const title = '✏️ Session modifiée';
+  const body = `${session.club} - ${formatSessionDate(session)}\n${changes.join('\n')}`;
+  const tag = `session-${session.id}-updated`;
+
+  const recipients = [
+    session.organizer,
+    ...(session.participants || []),
+    ...(session.waitlist || []),
+    ...(session.followers || [])
+  ].filter((name) => name && name !== editedBy);
+
+  for (const userName of new Set(recipients)) {
+    await dispatchNotification({ kind: 'sessionUpdated', title, body, tag, session }, { targetUser: userName });
+  }
+}
+
+// Notification d'annulation pour tous les inscrits, la liste d'attente et les followers
+async function sendSessionCancelledNotification(session, cancelledBy) {
+  const formattedDate = formatSessionDate(session);
+  const title = '❌ Session annulée';
+  const reason = session.cancelReason ? `\nMotif : ${session.cancelReason}` : '';
+  const body = `${session.club} - ${formattedDate}${reason}`;
+  const tag = `session-${session.id}-cancelled`;
+
+  const recipients = [
+    session.organizer,
+    ...(session.participants || []),
+    ...(session.waitlist || []),
+    ...(session.followers || [])
+  ].filter((name) => name && name !== cancelledBy);
+
+  for (const userName of new Set(recipients)) {
+    await dispatchNotification({ kind: 'sessionCancelled', title, body, tag, session }, { targetUser: userName });
   }
 }
 
@@ -211,53 +728,249 @@ async function sendChatMessageNotification(session, message) {
   const tag = `session-${session.id}-chat`;
 
   for (const userName of uniqueRecipients) {
-    await sendPushNotifications(title, body, tag, userName);
+    await dispatchNotification({ kind: 'chat', title, body, tag, session }, { targetUser: userName });
   }
 }
 
-function checkUpcomingSessionReminders() {
-  try {
-    const sessions = storage.readSessions();
-    const now = new Date();
-    let updated = false;
+// Dernière échéance du résumé avant `now` : chaque jour, ou chaque semaine le jour choisi, à l'heure choisie
+function getLatestDigestSlot(digest, now) {
+  const slot = new Date(now);
+  const minutes = parseTimeOfDay(digest.time);
+  slot.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  if (digest.frequency === 'weekly') {
+    slot.setDate(slot.getDate() - ((slot.getDay() - digest.day + 7) % 7));
+  }
+  if (slot > now) {
+    slot.setDate(slot.getDate() - (digest.frequency === 'weekly' ? 7 : 1));
+  }
+  return slot;
+}
 
-    for (const session of sessions) {
-      if (session.reminderSent) continue;
+function formatDigestSection(label, lines) {
+  if (lines.length === 0) return null;
+  const shown = lines.slice(0, MAX_DIGEST_ITEMS_PER_SECTION).map((line) => `• ${line}`);
+  if (lines.length > shown.length) {
+    shown.push(`… et ${lines.length - shown.length} autre(s)`);
+  }
+  return [`${label} (${lines.length})`, ...shown].join('\n');
+}
+
+// Contenu du résumé, ou null si rien ne concerne l'utilisateur sur la période
+function buildDigest(user, sessions, frequency, now) {
+  const horizon = now.getTime() + DIGEST_HORIZON_DAYS[frequency] * 24 * 60 * 60 * 1000;
+  const preferences = getNotificationPreferences(user);
+  const upcoming = sessions
+    .filter((session) => {
+      const start = new Date(session.datetime).getTime();
+      return !session.cancelled && start > now.getTime() && start <= horizon;
+    })
+    .sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+
+  const joined = [];
+  const followed = [];
+  const open = [];
+  for (const session of upcoming) {
+    const participants = session.participants || [];
+    const label = `${formatSessionDate(session)} - ${session.club}`;
+    const freePlaces = getFreePlaces(session);
+    if (session.organizer === user.name || participants.includes(user.name)) {
+      joined.push(label);
+    } else if ((session.waitlist || []).includes(user.name)) {
+      joined.push(`${label} (liste d'attente)`);
+    } else if ((session.followers || []).includes(user.name)) {
+      followed.push(freePlaces > 0 ? `${label}, ${freePlaces} place(s)` : `${label}, complète`);
+    } else if (freePlaces > 0 && matchesSessionFilters(preferences, session)) {
+      open.push(`${label}, ${freePlaces} place(s) - ${session.level}`);
+    }
+  }
+
+  const sections = [
+    formatDigestSection('Vous participez', joined),
+    formatDigestSection('Vous suivez', followed),
+    formatDigestSection('Places disponibles', open)
+  ].filter(Boolean);
+  if (sections.length === 0) return null;
+
+  return {
+    kind: 'digest',
+    title: frequency === 'weekly' ? '📅 Vos sessions de la semaine' : '📅 Vos sessions des prochaines 24 h',
+    body: sections.join('\n\n'),
+    tag: 'digest'
+  };
+}
+
+function getNextDigestSlot(digest, now) {
+  const slot = getLatestDigestSlot(digest, now);
+  slot.setDate(slot.getDate() + (digest.frequency === 'weekly' ? 7 : 1));
+  return slot;
+}
+
+function getDigestJob(user, slot) {
+  return { id: `digest:${user.normalized}:${slot.toISOString()}`, dueAt: slot, payload: { userName: user.name } };
+}
+
+// L'échéance fait partie de l'identifiant du job : un résumé ne part qu'une fois par période
+function getWantedDigestJobs(users, now) {
+  const jobs = [];
+  for (const user of users) {
+    const { digest } = getNotificationPreferences(user);
+    if (digest.frequency === 'off') continue;
+
+    const latest = getLatestDigestSlot(digest, now);
+    if (now - latest <= DIGEST_GRACE_MS) {
+      jobs.push(getDigestJob(user, latest));
+    }
+    jobs.push(getDigestJob(user, getNextDigestSlot(digest, now)));
+  }
+  return jobs;
+}
+
+async function runDigestJob({ userName }) {
+  const user = storage.readUsers().find((u) => u.name === userName);
+  if (!user) return;
+  const { digest } = getNotificationPreferences(user);
+  if (digest.frequency === 'off') return;
+
+  // Programmer la période suivante avant l'envoi, pour que la chaîne continue même en cas d'échec
+  const now = new Date();
+  const next = getDigestJob(user, getNextDigestSlot(digest, now));
+  scheduler.schedule(next.id, 'digest', next.dueAt, next.payload);
+
+  const notification = buildDigest(user, storage.readSessions(), digest.frequency, now);
+  if (!notification) return;
+  return dispatchNotification(notification, { targetUser: user.name });
+}
+
+function getReminderDueAt(offset, start) {
+  if (offset.type === 'dayBefore') {
+    const [hours, minutes] = offset.time.split(':').map(Number);
+    const dueAt = new Date(start);
+    dueAt.setDate(dueAt.getDate() - 1);
+    dueAt.setHours(hours, minutes, 0, 0);
+    return dueAt;
+  }
+  return new Date(start.getTime() - offset.minutes * 60 * 1000);
+}
 
-      const start = new Date(session.datetime);
-      if (Number.isNaN(start.getTime())) continue;
-      if (now.getTime() >= start.getTime()) continue;
+// La clé contient l'échéance calculée pour l'horaire actuel de la session :
+// une session déplacée reçoit de nouveaux rappels, sans renvoyer ceux déjà partis pour le même horaire
+function getReminderKey(offset, dueAt) {
+  const spec = offset.type === 'dayBefore' ? `dayBefore:${offset.time}` : `before:${offset.minutes}`;
+  return `${spec}@${dueAt.toISOString()}`;
+}
 
-      const msBeforeStart = start.getTime() - now.getTime();
-      const reminderWindowMs = REMINDER_MINUTES_BEFORE_START * 60 * 1000;
-      if (msBeforeStart <= reminderWindowMs) {
-        session.reminderSent = true;
-        sendSessionReminderNotification(session).catch((err) => {
-          debugError('Erreur lors de l\'envoi du rappel de session:', err);
+// Rappels attendus pour les sessions à venir, d'après leurs membres et leurs préférences
+function getWantedReminderJobs(sessions, users, now) {
+  const jobs = [];
+  for (const session of sessions) {
+    if (session.cancelled) continue;
+
+    const start = new Date(session.datetime);
+    if (Number.isNaN(start.getTime())) continue;
+    if (now.getTime() >= start.getTime()) continue;
+
+    const members = new Set([session.organizer, ...(session.participants || [])].filter(Boolean));
+    for (const userName of members) {
+      // Les participants externes n'ont pas de compte
+      const user = users.find((u) => u.name === userName);
+      if (!user) continue;
+
+      // Rappels envoyés avant l'arrivée du planificateur
+      const sent = (session.remindersSent && session.remindersSent[user.normalized]) || [];
+      for (const offset of getNotificationPreferences(user).reminderOffsets) {
+        const dueAt = getReminderDueAt(offset, start);
+        const key = getReminderKey(offset, dueAt);
+        if (sent.includes(key) || now - dueAt > REMINDER_GRACE_MS) continue;
+        jobs.push({
+          id: `reminder:${session.id}:${user.normalized}:${key}`,
+          dueAt,
+          payload: { sessionId: session.id, userName: user.name }
         });
-        updated = true;
       }
     }
+  }
+  return jobs;
+}
 
-    if (updated) {
-      storage.writeSessions(sessions);
-    }
+// Considérer comme envoyés les rappels de l'horaire actuel (conversion des anciennes sessions)
+function markCurrentRemindersSent(session, users) {
+  const start = new Date(session.datetime);
+  if (Number.isNaN(start.getTime())) return;
+  session.remindersSent = session.remindersSent || {};
+  for (const userName of [session.organizer, ...(session.participants || [])].filter(Boolean)) {
+    const user = users.find((u) => u.name === userName);
+    if (!user) continue;
+    session.remindersSent[user.normalized] = getNotificationPreferences(user).reminderOffsets
+      .map((offset) => getReminderKey(offset, getReminderDueAt(offset, start)));
+  }
+}
+
+async function runReminderJob({ sessionId, userName }) {
+  const now = new Date();
+  const session = storage.readSessions().find((s) => s.id === sessionId);
+  if (!session || session.cancelled || new Date(session.datetime) <= now) return;
+  if (session.organizer !== userName && !(session.participants || []).includes(userName)) return;
+
+  // Plusieurs rappels échus ensemble (rattrapage après un arrêt) : un seul envoi
+  const justSent = scheduler.list((job) => job.type === 'reminder' && job.status === 'done'
+    && job.payload.sessionId === sessionId && job.payload.userName === userName
+    && now - new Date(job.completedAt) < REMINDER_COLLAPSE_MS);
+  if (justSent.length > 0) return;
+
+  return sendSessionReminderNotification(session, userName, now);
+}
+
+// Recalculer les rappels et résumés à venir : au démarrage, puis à chaque modification
+// des sessions ou des préférences. Les jobs déjà exécutés sont conservés et ne repartent pas
+function syncScheduledJobs() {
+  try {
+    const now = new Date();
+    const users = storage.readUsers();
+    scheduler.replace('reminder', getWantedReminderJobs(storage.readSessions(), users, now));
+    scheduler.replace('digest', getWantedDigestJobs(users, now));
   } catch (err) {
-    debugError('Erreur lors de la vérification des rappels de sessions:', err);
+    debugError('Erreur lors de la planification des rappels:', err);
   }
 }
 
-function startReminderScheduler() {
-  setInterval(checkUpcomingSessionReminders, REMINDER_CHECK_INTERVAL_MS);
-  setTimeout(checkUpcomingSessionReminders, 2000);
+function startPushQueue() {
+  if (!webpush) return;
+  pushQueue.start();
+}
+
+function startEmailQueue() {
+  if (!mailTransport) return;
+  emailQueue.start();
+}
+
+// Le rattrapage passe en premier : les jobs trop en retard sont enregistrés comme manqués
+// avant que la synchronisation ne retire ceux qui ne sont plus attendus.
+// Les notifications retenues avant une mise à jour n'avaient pas encore d'échéance
+function startScheduler() {
+  scheduler.start();
+  syncScheduledJobs();
+  scheduleHeldReleases();
 }
 
 module.exports = {
-  startReminderScheduler,
+  startScheduler,
+  syncScheduledJobs,
+  markCurrentRemindersSent,
+  startPushQueue,
+  startEmailQueue,
+  sendTestEmail,
   sendNewSessionNotification,
   sendSpotAvailableNotification,
+  sendWaitlistPromotedNotification,
   sendParticipantJoinedNotification,
   sendParticipantLeftNotification,
   sendSessionReminderNotification,
   sendChatMessageNotification,
+  sendSessionCancelledNotification,
+  sendSessionUpdatedNotification,
+  formatSessionDate,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  getNotificationPreferences,
+  isEmailEnabled,
+  onInboxUpdated,
 };
@@ -0,0 +1,190 @@
+// Persistent push delivery queue.
+// One delivery per (notification, user): each of the user's devices is tracked inside it,
+// so a notification is attributed to the user even when it fans out to several endpoints.
+// Delivery is at-least-once: a crash between a send and its bookkeeping retries that device.
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// A device attempt ends in one of these states; 'retry' keeps the delivery pending
+const ENDPOINT_SENT = 'sent';
+const ENDPOINT_GONE = 'gone';
+const ENDPOINT_FAILED = 'failed';
+const ENDPOINT_RETRY = 'retry';
+
+function classifyError(err) {
+  const status = err && err.statusCode;
+  if (status === 404 || status === 410) return ENDPOINT_GONE;
+  // Network errors have no status; 429 and 5xx are worth another try
+  if (!status || status === 429 || status >= 500) return ENDPOINT_RETRY;
+  return ENDPOINT_FAILED;
+}
+
+function readRetryAfterMs(err) {
+  const value = err && err.headers && (err.headers['retry-after'] || err.headers['Retry-After']);
+  const seconds = parseInt(value, 10);
+  return Number.isInteger(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Run `worker` over `items` with at most `limit` calls in flight
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+function createPushQueue({
+  send,
+  getSubscriptions,
+  removeSubscriptions,
+  concurrency = 5,
+  maxAttempts = 5,
+  baseRetryDelayMs = 30 * 1000,
+  maxRetryDelayMs = 60 * 60 * 1000,
+  retentionMs = 7 * 24 * 60 * 60 * 1000,
+  maxRecords = 2000,
+  pollIntervalMs = 15 * 1000,
+  log = () => {}
+}) {
+  let processing = false;
+  let pendingRun = false;
+
+  function retryDelay(attempts, err) {
+    const backoff = Math.min(maxRetryDelayMs, baseRetryDelayMs * 2 ** (attempts - 1));
+    return Math.max(backoff, readRetryAfterMs(err));
+  }
+
+  // Drop old finished deliveries, keeping the newest ones within `maxRecords`
+  function prune(deliveries, now) {
+    const kept = deliveries.filter((delivery) => delivery.status === 'pending'
+      || now - new Date(delivery.completedAt || delivery.createdAt).getTime() < retentionMs);
+    return kept.length > maxRecords ? kept.slice(kept.length - maxRecords) : kept;
+  }
+
+  // Returns the delivery id once it is stored
+  function enqueue(userName, notification) {
+    const now = new Date();
+    const deliveries = storage.readPushDeliveries();
+    const id = crypto.randomUUID();
+    deliveries.push({
+      id,
+      userName,
+      notification,
+      status: 'pending',
+      attempts: 0,
+      endpoints: {},
+      createdAt: now.toISOString(),
+      nextAttemptAt: now.toISOString(),
+      completedAt: null,
+      lastError: null
+    });
+    storage.writePushDeliveries(prune(deliveries, now.getTime()));
+    schedule();
+    return id;
+  }
+
+  function schedule() {
+    setImmediate(() => {
+      processDue().catch((err) => log('Push queue processing failed:', err));
+    });
+  }
+
+  async function processDue() {
+    if (processing) {
+      pendingRun = true;
+      return;
+    }
+    processing = true;
+    try {
+      do {
+        pendingRun = false;
+        await processBatch();
+      } while (pendingRun);
+    } finally {
+      processing = false;
+    }
+  }
+
+  async function processBatch() {
+    const now = Date.now();
+    const due = storage.readPushDeliveries()
+      .filter((delivery) => delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now);
+    if (due.length === 0) return;
+
+    // Devices are resolved at send time: a device removed since enqueueing is skipped
+    const tasks = [];
+    const outcomes = new Map();
+    for (const delivery of due) {
+      const results = {};
+      outcomes.set(delivery.id, { results, errors: [] });
+      for (const subscription of getSubscriptions(delivery.userName)) {
+        const previous = delivery.endpoints[subscription.endpoint];
+        if (previous && previous !== ENDPOINT_RETRY) continue;
+        tasks.push({ delivery, subscription, results });
+      }
+    }
+
+    const goneEndpoints = [];
+    await runWithConcurrency(tasks, concurrency, async ({ delivery, subscription, results }) => {
+      try {
+        await send(subscription, JSON.stringify(delivery.notification));
+        results[subscription.endpoint] = ENDPOINT_SENT;
+      } catch (err) {
+        const state = classifyError(err);
+        results[subscription.endpoint] = state;
+        outcomes.get(delivery.id).errors.push({ state, err });
+        if (state === ENDPOINT_GONE) goneEndpoints.push(subscription.endpoint);
+        log(`Push to ${delivery.userName} failed (${err.statusCode || err.code || 'error'})`);
+      }
+    });
+
+    if (goneEndpoints.length > 0) {
+      removeSubscriptions(goneEndpoints);
+    }
+
+    // Re-read before writing: notifications may have been enqueued while sending
+    const finishedAt = new Date();
+    const deliveries = storage.readPushDeliveries();
+    for (const delivery of deliveries) {
+      const outcome = outcomes.get(delivery.id);
+      if (!outcome) continue;
+
+      delivery.attempts++;
+      Object.assign(delivery.endpoints, outcome.results);
+      const lastError = outcome.errors[outcome.errors.length - 1];
+      const states = Object.values(delivery.endpoints);
+      if (lastError) {
+        delivery.lastError = String(lastError.err.statusCode || lastError.err.message || lastError.err);
+      } else {
+        delivery.lastError = states.length === 0 ? 'no subscription' : null;
+      }
+
+      const retryError = outcome.errors.find((error) => error.state === ENDPOINT_RETRY);
+      if (retryError && delivery.attempts < maxAttempts) {
+        delivery.nextAttemptAt = new Date(finishedAt.getTime() + retryDelay(delivery.attempts, retryError.err)).toISOString();
+        continue;
+      }
+      delivery.status = states.includes(ENDPOINT_SENT) ? 'sent' : 'failed';
+      delivery.completedAt = finishedAt.toISOString();
+    }
+    storage.writePushDeliveries(prune(deliveries, finishedAt.getTime()));
+  }
+
+  // Retries are picked up by polling; new deliveries are processed right away
+  function start() {
+    const timer = setInterval(schedule, pollIntervalMs);
+    timer.unref();
+    schedule();
+  }
+
+  return { enqueue, processDue, start };
+}
+
+module.exports = {
+  createPushQueue
+};
@@ -0,0 +1,77 @@
+// In-memory counters for rate limiting and sign-in lockouts.
+// State is per process and is lost on restart, which is acceptable for throttling.
+
+// Fixed window: at most `limit` hits per key every `windowMs`.
+function createRateLimiter({ limit, windowMs }) {
+  const counters = new Map();
+
+  function hit(key, now = Date.now()) {
+    let entry = counters.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      counters.set(key, entry);
+    }
+    entry.count++;
+    if (entry.count > limit) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000) };
+    }
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  function cleanup(now = Date.now()) {
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }
+
+  return { hit, cleanup, size: () => counters.size };
+}
+
+// Lock a key for `lockoutMs` once it reaches `maxFailures` failures within `windowMs`.
+function createLockoutTracker({ maxFailures, windowMs, lockoutMs }) {
+  const entries = new Map();
+
+  // Remaining lockout in seconds, 0 when the key is not locked
+  function check(key, now = Date.now()) {
+    const entry = entries.get(key);
+    if (!entry || !entry.lockedUntil || entry.lockedUntil <= now) {
+      return 0;
+    }
+    return Math.ceil((entry.lockedUntil - now) / 1000);
+  }
+
+  function recordFailure(key, now = Date.now()) {
+    let entry = entries.get(key);
+    if (!entry || entry.windowStart + windowMs <= now || (entry.lockedUntil && entry.lockedUntil <= now)) {
+      entry = { failures: 0, windowStart: now, lockedUntil: 0 };
+      entries.set(key, entry);
+    }
+    entry.failures++;
+    if (entry.failures >= maxFailures) {
+      entry.lockedUntil = now + lockoutMs;
+    }
+    return check(key, now);
+  }
+
+  function reset(key) {
+    entries.delete(key);
+  }
+
+  function cleanup(now = Date.now()) {
+    for (const [key, entry] of entries) {
+      const lockExpired = !entry.lockedUntil || entry.lockedUntil <= now;
+      if (lockExpired && entry.windowStart + windowMs <= now) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return { check, recordFailure, reset, cleanup, size: () => entries.size };
+}
+
+module.exports = {
+  createRateLimiter,
+  createLockoutTracker
+};
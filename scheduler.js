@@ -0,0 +1,188 @@
+// Persistent job scheduler.
+// Jobs are stored with their due time and a timer is armed for the earliest one, so they fire
+// on time and survive restarts. A job is marked done only once its handler has resolved, and
+// whatever the handler returns is kept on the job as `result`: a handler that throws is retried,
+// and a crash in between runs it again (at-least-once). After downtime, overdue jobs are caught up
+// unless they are older than their handler's grace window, in which case they are recorded as missed.
+
+const storage = require('./storage');
+
+// setTimeout cannot wait longer than this
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+function createScheduler({
+  handlers,
+  maxAttempts = 3,
+  retryDelayMs = 60 * 1000,
+  retentionMs = 7 * 24 * 60 * 60 * 1000,
+  sweepIntervalMs = 5 * 60 * 1000,
+  log = () => {}
+}) {
+  let started = false;
+  let timer = null;
+  let running = false;
+  let pendingRun = false;
+
+  // Drop finished jobs once they are older than `retentionMs`
+  function prune(jobs, now) {
+    return jobs.filter((job) => job.status === 'pending'
+      || now - new Date(job.completedAt || job.dueAt).getTime() < retentionMs);
+  }
+
+  function createJob(id, type, dueAt, payload, now) {
+    return {
+      id,
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      dueAt,
+      nextAttemptAt: dueAt,
+      createdAt: now.toISOString(),
+      completedAt: null,
+      lastError: null,
+      result: null
+    };
+  }
+
+  // Create a pending job or move it; returns false when nothing changed.
+  // A job that already ran (done, missed or failed) under the same id is never scheduled again.
+  function upsert(jobs, id, type, dueAt, payload, now) {
+    const due = new Date(dueAt).toISOString();
+    const existing = jobs.find((job) => job.id === id);
+    if (!existing) {
+      jobs.push(createJob(id, type, due, payload, now));
+      return true;
+    }
+    if (existing.status !== 'pending') return false;
+    if (existing.dueAt === due && JSON.stringify(existing.payload) === JSON.stringify(payload)) return false;
+    Object.assign(existing, { dueAt: due, nextAttemptAt: due, payload, attempts: 0, lastError: null });
+    return true;
+  }
+
+  function schedule(id, type, dueAt, payload = {}) {
+    const now = new Date();
+    const jobs = storage.readScheduledJobs();
+    if (upsert(jobs, id, type, dueAt, payload, now)) {
+      storage.writeScheduledJobs(prune(jobs, now.getTime()));
+      arm();
+    }
+  }
+
+  // Make the pending jobs of `type` exactly `wanted` ([{ id, dueAt, payload }]) in a single write.
+  // Finished jobs are kept, which is what stops a job from running twice.
+  function replace(type, wanted) {
+    const now = new Date();
+    const wantedIds = new Set(wanted.map((job) => job.id));
+    const jobs = storage.readScheduledJobs();
+    const kept = jobs.filter((job) => job.type !== type || job.status !== 'pending' || wantedIds.has(job.id));
+    let changed = kept.length !== jobs.length;
+    for (const job of wanted) {
+      changed = upsert(kept, job.id, type, job.dueAt, job.payload || {}, now) || changed;
+    }
+    if (changed) {
+      storage.writeScheduledJobs(prune(kept, now.getTime()));
+      arm();
+    }
+  }
+
+  function cancel(predicate) {
+    const jobs = storage.readScheduledJobs();
+    const kept = jobs.filter((job) => job.status !== 'pending' || !predicate(job));
+    if (kept.length !== jobs.length) {
+      storage.writeScheduledJobs(kept);
+      arm();
+    }
+  }
+
+  function list(predicate = () => true) {
+    return storage.readScheduledJobs().filter(predicate);
+  }
+
+  function arm() {
+    if (!started) return;
+    clearTimeout(timer);
+    const next = storage.readScheduledJobs()
+      .filter((job) => job.status === 'pending')
+      .reduce((earliest, job) => Math.min(earliest, new Date(job.nextAttemptAt).getTime()), Infinity);
+    if (next === Infinity) return;
+    timer = setTimeout(run, Math.min(Math.max(0, next - Date.now()), MAX_TIMER_DELAY_MS));
+    timer.unref();
+  }
+
+  async function run() {
+    if (running) {
+      pendingRun = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        pendingRun = false;
+        await runDue();
+      } while (pendingRun);
+    } catch (err) {
+      log('Scheduler run failed:', err);
+    } finally {
+      running = false;
+      arm();
+    }
+  }
+
+  // Jobs run one at a time, oldest first, so a handler sees the outcome of the previous ones
+  async function runDue() {
+    const now = Date.now();
+    const due = storage.readScheduledJobs()
+      .filter((job) => job.status === 'pending' && new Date(job.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+
+    for (const job of due) {
+      const handler = handlers[job.type];
+      let outcome;
+      if (!handler) {
+        outcome = { status: 'failed', lastError: `unknown job type ${job.type}` };
+      } else if (Date.now() - new Date(job.dueAt).getTime() > (handler.graceMs ?? Infinity)) {
+        outcome = { status: 'missed' };
+      } else {
+        try {
+          const result = await handler.run(job.payload, job);
+          outcome = { status: 'done', lastError: null, result: result ?? null };
+        } catch (err) {
+          const attempts = job.attempts + 1;
+          const lastError = String((err && err.message) || err);
+          log(`Job ${job.id} failed (attempt ${attempts}):`, lastError);
+          outcome = attempts >= maxAttempts
+            ? { status: 'failed', attempts, lastError }
+            : { attempts, lastError, nextAttemptAt: new Date(Date.now() + retryDelayMs * 2 ** (attempts - 1)).toISOString() };
+        }
+      }
+      record(job, outcome);
+    }
+  }
+
+  // Re-read before writing: the job may have been moved or cancelled while its handler ran
+  function record(job, outcome) {
+    const jobs = storage.readScheduledJobs();
+    const current = jobs.find((entry) => entry.id === job.id);
+    if (!current || current.status !== 'pending' || current.dueAt !== job.dueAt) return;
+    Object.assign(current, outcome);
+    if (outcome.status) {
+      current.completedAt = new Date().toISOString();
+    }
+    storage.writeScheduledJobs(jobs);
+  }
+
+  // Catch up on overdue jobs; the periodic sweep covers clock changes and timer drift
+  function start() {
+    started = true;
+    const sweep = setInterval(run, sweepIntervalMs);
+    sweep.unref();
+    run();
+  }
+
+  return { schedule, replace, cancel, list, start };
+}
+
+module.exports = {
+  createScheduler
+};
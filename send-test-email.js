@@ -0,0 +1,25 @@
+// Envoi d'un e-mail de notification d'exemple, pour vérifier la configuration SMTP (.env)
+// Usage : npm run email:test -- adresse@exemple.fr
+try {
+  require('dotenv').config();
+} catch (err) {
+  // variables d'environnement système uniquement
+}
+
+const notifications = require('./notifications');
+
+const address = process.argv[2];
+if (!address) {
+  console.error('Usage : npm run email:test -- adresse@exemple.fr');
+  process.exit(1);
+}
+
+notifications.sendTestEmail(address)
+  .then((info) => {
+    console.log(`E-mail envoyé à ${address} (${info.response || info.messageId})`);
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error(`Échec de l'envoi : ${err.message}`);
+    process.exit(1);
+  });
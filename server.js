@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { exec } = require('child_process');
+const { promisify } = require('util');
 
 // Charger les variables d'environnement depuis .env
 try {
@@ -20,6 +21,8 @@ const DEBUG = process.env.DEBUG === 'true';
 const PORT = parseInt(process.env.PORT, 10);
 const storage = require('./storage');
 const notifications = require('./notifications');
+const { createRateLimiter, createLockoutTracker } = require('./rate-limit');
+const { createEventHub } = require('./live-updates');
 
 console.log(`🚀 Environnement: ${NODE_ENV}${IS_DEV ? ' (DEV)' : ''}`);
 console.log(`🏷️  Version: ${APP_VERSION}`);
@@ -33,12 +36,69 @@ const ROBOTS_FILE = path.join(__dirname, 'robots.txt');
 const SITEMAP_FILE = path.join(__dirname, 'sitemap.xml');
 const COOKIE_NAME = 'badlyAuth';
 const COOKIE_MAX_AGE_SECONDS = 30 * 24 * 60 * 60;
-const PASSWORD_SALT = 'badly-static-salt-v1';
-
-// Limits to prevent excessive data file growth
-const MAX_USERS = 128;
-const MAX_SESSIONS = 16;
+// Sessions de connexion (une par appareil) : expiration glissante
+const AUTH_SESSION_TTL_MS = COOKIE_MAX_AGE_SECONDS * 1000;
+const AUTH_SESSION_RENEW_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_AUTH_SESSIONS_PER_USER = 10;
+// Administrateurs désignés par configuration (noms séparés par des virgules),
+// en plus des comptes portant le drapeau isAdmin
+const ADMIN_USERS = (process.env.ADMIN_USERS || '')
+  .split(',')
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+const RESET_CODE_TTL_MS = (parseInt(process.env.RESET_CODE_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const MAX_AUDIT_LOG_ENTRIES = 1000;
+const AUDIT_LOG_PAGE_SIZE = 20;
+const READABLE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// Invitations : l'inscription exige un code émis par un membre (sauf pour le tout premier compte)
+const INVITE_CODE_LENGTH = 8;
+const MAX_INVITES_PER_USER = 10;
+const MAX_INVITE_USES = 20;
+const DEFAULT_INVITE_TTL_DAYS = 7;
+const MAX_INVITE_TTL_DAYS = 30;
+// Ancien schéma (SHA-256 + sel commun), conservé uniquement pour vérifier les comptes pas encore migrés
+const LEGACY_PASSWORD_SALT = 'badly-static-salt-v1';
+// scrypt : coût mémoire = 128 * N * r octets (16 Mo)
+const PASSWORD_HASH_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64, saltLength: 16 };
+
+// Limits to prevent excessive data file growth; SQLite only rewrites changed rows, so it gets higher defaults
+const USES_SQLITE = storage.STORAGE_BACKEND === 'sqlite';
+const MAX_USERS = parseInt(process.env.MAX_USERS, 10) || (USES_SQLITE ? 2000 : 128);
+const MAX_SESSIONS = parseInt(process.env.MAX_SESSIONS, 10) || (USES_SQLITE ? 500 : 16);
 const MAX_MESSAGES_PER_SESSION = 50;
+const MAX_CANCEL_REASON_LENGTH = 200;
+// Noms saisis à la main pour les participants externes : lettres (accents compris), chiffres, espace, tiret, apostrophe, point
+const PARTICIPANT_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} '._-]*$/u;
+const MAX_ARCHIVED_SESSIONS = parseInt(process.env.MAX_ARCHIVED_SESSIONS, 10) || 500;
+const HISTORY_PAGE_SIZE = 10;
+const ALLOWED_LEVELS = ['débutant', 'moyen', 'confirmé'];
+const MAX_TEMPLATES_PER_USER = 5;
+// Nombre de jours à l'avance pour lesquels les sessions récurrentes sont créées
+const RECURRING_HORIZON_DAYS = parseInt(process.env.RECURRING_HORIZON_DAYS, 10) || 14;
+const RECURRING_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_HISTORY_PAGE_SIZE = 50;
+
+// Limitation de débit (fenêtre fixe, compteurs en mémoire)
+function readPositiveIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+const RATE_LIMIT_WINDOW_MS = readPositiveIntEnv('RATE_LIMIT_WINDOW_SECONDS', 60) * 1000;
+const RATE_LIMIT_AUTH_PER_IP = readPositiveIntEnv('RATE_LIMIT_AUTH_PER_IP', 10);
+const RATE_LIMIT_POST_PER_IP = readPositiveIntEnv('RATE_LIMIT_POST_PER_IP', 120);
+const RATE_LIMIT_POST_PER_USER = readPositiveIntEnv('RATE_LIMIT_POST_PER_USER', 60);
+const SIGNIN_MAX_FAILURES = readPositiveIntEnv('SIGNIN_MAX_FAILURES', 5);
+const SIGNIN_MAX_FAILURES_PER_IP = readPositiveIntEnv('SIGNIN_MAX_FAILURES_PER_IP', 20);
+const SIGNIN_LOCKOUT_MS = readPositiveIntEnv('SIGNIN_LOCKOUT_MINUTES', 15) * 60 * 1000;
+const RATE_LIMIT_CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+// Derrière un reverse proxy, l'IP du client est lue dans X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+// Routes d'authentification, soumises à une limite par IP plus stricte
+const AUTH_RATE_LIMITED_PATHS = new Set(['/signin', '/signup', '/resetPassword']);
+
+// Mises à jour en temps réel (Server-Sent Events)
+const LIVE_HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_LIVE_STREAMS_PER_USER = 5;
 
 function debugLog(...args) {
   if (DEBUG) {
@@ -52,8 +112,43 @@ function debugError(...args) {
   }
 }
 
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(`${password}:${PASSWORD_SALT}`).digest('hex');
+const scrypt = promisify(crypto.scrypt);
+
+// Format stocké : scrypt$N$r$p$sel$hash (base64), les paramètres voyagent avec le hash
+async function hashPassword(password) {
+  const { N, r, p, keyLength, saltLength } = PASSWORD_HASH_PARAMS;
+  const salt = crypto.randomBytes(saltLength);
+  const derived = await scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+  return ['scrypt', N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+function parsePasswordHash(stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return null;
+  const [N, r, p] = parts.slice(1, 4).map((value) => parseInt(value, 10));
+  if (![N, r, p].every((value) => Number.isInteger(value) && value > 0)) return null;
+  return { N, r, p, salt: Buffer.from(parts[4], 'base64'), hash: Buffer.from(parts[5], 'base64') };
+}
+
+// Retourne { ok, needsRehash } : needsRehash signale un hash ancien ou avec d'autres paramètres
+async function verifyPassword(password, stored) {
+  const parsed = parsePasswordHash(stored);
+  if (!parsed) {
+    if (typeof stored !== 'string' || !/^[0-9a-f]{64}$/.test(stored)) {
+      return { ok: false, needsRehash: false };
+    }
+    const legacy = crypto.createHash('sha256').update(`${password}:${LEGACY_PASSWORD_SALT}`).digest();
+    const ok = crypto.timingSafeEqual(legacy, Buffer.from(stored, 'hex'));
+    return { ok, needsRehash: ok };
+  }
+
+  const { N, r, p, salt, hash } = parsed;
+  if (hash.length === 0) return { ok: false, needsRehash: false };
+  const derived = await scrypt(password, salt, hash.length, { N, r, p, maxmem: 256 * N * r });
+  const ok = crypto.timingSafeEqual(derived, hash);
+  const current = PASSWORD_HASH_PARAMS;
+  const needsRehash = ok && (N !== current.N || r !== current.r || p !== current.p || hash.length !== current.keyLength);
+  return { ok, needsRehash };
 }
 
 function parseCookies(cookieHeader) {
@@ -69,37 +164,222 @@ function parseCookies(cookieHeader) {
   return out;
 }
 
-function getAuthPayload(req) {
+function getAuthToken(req) {
   const cookies = parseCookies(req.headers.cookie);
-  if (!cookies[COOKIE_NAME]) return null;
-  try {
-    return JSON.parse(cookies[COOKIE_NAME]);
-  } catch (err) {
-    return null;
+  const token = cookies[COOKIE_NAME];
+  return typeof token === 'string' && /^[A-Za-z0-9_-]{43}$/.test(token) ? token : null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function authSessionHasExpired(authSession, referenceDate = new Date()) {
+  return referenceDate.getTime() >= new Date(authSession.expiresAt).getTime();
+}
+
+// Supprimer les abonnements push rattachés à des appareils déconnectés (revoked), d'après les
+// sessions de connexion restantes (remaining). Les abonnements antérieurs aux appareils n'ont pas
+// de deviceId (il est ajouté au prochain /subscribePush) : ils partent quand l'utilisateur
+// n'a plus aucun appareil connecté
+function removeDevicePushSubscriptions(revoked, remaining) {
+  if (revoked.length === 0) return;
+  const ids = new Set(revoked.map((s) => s.id));
+  const signedOutUsers = new Set(revoked.map((s) => s.userName)
+    .filter((userName) => !remaining.some((s) => s.userName === userName)));
+  const users = storage.readUsers();
+  let removed = 0;
+  for (const user of users) {
+    if (!user.pushSubscriptions) continue;
+    const before = user.pushSubscriptions.length;
+    user.pushSubscriptions = user.pushSubscriptions.filter((sub) => (sub.deviceId
+      ? !ids.has(sub.deviceId)
+      : !signedOutUsers.has(user.name)));
+    removed += before - user.pushSubscriptions.length;
+  }
+  if (removed > 0) {
+    storage.writeUsers(users);
+    debugLog(`${removed} abonnement(s) push supprimé(s) avec leur appareil`);
   }
 }
 
+// Ouvrir une session de connexion pour un appareil ; seul le hash du jeton est conservé
+function createAuthSession(req, user) {
+  const now = new Date();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const authSessions = storage.readAuthSessions();
+  const expiredIds = authSessions
+    .filter((s) => authSessionHasExpired(s, now))
+    .map((s) => s.id);
+
+  // Au-delà de la limite, déconnecter les appareils inactifs depuis le plus longtemps
+  const own = authSessions
+    .filter((s) => s.userName === user.name && !expiredIds.includes(s.id))
+    .sort((a, b) => new Date(a.lastSeenAt).getTime() - new Date(b.lastSeenAt).getTime());
+  const evictedIds = own
+    .slice(0, Math.max(0, own.length - MAX_AUTH_SESSIONS_PER_USER + 1))
+    .map((s) => s.id);
+
+  const removedIds = new Set([...expiredIds, ...evictedIds]);
+  const remaining = authSessions.filter((s) => !removedIds.has(s.id));
+  const userAgent = typeof req.headers['user-agent'] === 'string' ? req.headers['user-agent'].slice(0, 200) : '';
+  const authSession = {
+    id: crypto.randomUUID(),
+    tokenHash: hashToken(token),
+    userName: user.name,
+    userAgent,
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + AUTH_SESSION_TTL_MS).toISOString()
+  };
+  remaining.push(authSession);
+  storage.writeAuthSessions(remaining);
+  removeDevicePushSubscriptions(authSessions.filter((s) => removedIds.has(s.id)), remaining);
+
+  return { token, authSession };
+}
+
+// Révoquer des sessions de connexion et les abonnements push des appareils concernés
+function revokeAuthSessions(predicate) {
+  const authSessions = storage.readAuthSessions();
+  const revoked = authSessions.filter(predicate);
+  if (revoked.length === 0) return 0;
+  const remaining = authSessions.filter((s) => !revoked.includes(s));
+  storage.writeAuthSessions(remaining);
+  removeDevicePushSubscriptions(revoked, remaining);
+  const revokedIds = new Set(revoked.map((s) => s.id));
+  liveUpdates.close((client) => revokedIds.has(client.authSessionId));
+  return revoked.length;
+}
+
 function findUser(users, name) {
   if (!name) return null;
   const normalized = name.trim().toLowerCase();
   return users.find((u) => u.normalized === normalized) || null;
 }
 
+function isAdmin(user) {
+  return Boolean(user) && (user.isAdmin === true || ADMIN_USERS.includes(user.normalized));
+}
+
+// Journal d'audit : chaque action d'administration est conservée (les plus anciennes sont supprimées au-delà de la limite)
+function recordAdminAction(admin, action, target, details = {}) {
+  const entries = storage.readAuditLog();
+  entries.push({
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    admin: admin.name,
+    action,
+    target,
+    details
+  });
+  storage.writeAuditLog(entries.length > MAX_AUDIT_LOG_ENTRIES ? entries.slice(-MAX_AUDIT_LOG_ENTRIES) : entries);
+  console.log(`🛡️  ${admin.name} : ${action} ${target}`);
+}
+
+function validateNewPassword(password) {
+  return typeof password === 'string' && password.length >= 6 && password.length <= 64;
+}
+
+// Code lisible (sans 0/O ni 1/I)
+function generateReadableCode(length) {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, (byte) => READABLE_CODE_ALPHABET[byte % READABLE_CODE_ALPHABET.length]).join('');
+}
+
+// Code de réinitialisation, saisi au format XXXX-XXXX
+function generateResetCode() {
+  const code = generateReadableCode(8);
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function normalizeInviteCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+function inviteIsUsable(invite, referenceDate = new Date()) {
+  return invite.uses < invite.maxUses && new Date(invite.expiresAt).getTime() > referenceDate.getTime();
+}
+
+function formatInviteForClient(invite) {
+  return {
+    code: invite.code,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    usedBy: (invite.usedBy || []).map((entry) => entry.name),
+    usable: inviteIsUsable(invite)
+  };
+}
+
+function hashResetCode(code) {
+  return hashToken(code.toUpperCase().replace(/[^A-Z0-9]/g, ''));
+}
+
+// Remplacer le mot de passe : toutes les sessions de connexion de l'utilisateur sont invalidées
+// sauf keepAuthSession, dont le jeton est renouvelé (l'appareil courant reste connecté)
+async function replacePassword(userName, newPassword, keepAuthSession = null) {
+  const passwordHash = await hashPassword(newPassword);
+  const users = storage.readUsers();
+  const user = findUser(users, userName);
+  if (!user) return null;
+  user.passwordHash = passwordHash;
+  user.passwordChangedAt = new Date().toISOString();
+  storage.writeUsers(users);
+
+  revokeAuthSessions((s) => s.userName === user.name && (!keepAuthSession || s.id !== keepAuthSession.id));
+  const resetCodes = storage.readResetCodes();
+  const remainingCodes = resetCodes.filter((entry) => entry.userName !== user.name);
+  if (remainingCodes.length !== resetCodes.length) {
+    storage.writeResetCodes(remainingCodes);
+  }
+
+  let token = null;
+  if (keepAuthSession) {
+    token = crypto.randomBytes(32).toString('base64url');
+    const authSessions = storage.readAuthSessions();
+    const current = authSessions.find((s) => s.id === keepAuthSession.id);
+    if (current) {
+      current.tokenHash = hashToken(token);
+      storage.writeAuthSessions(authSessions);
+    }
+  }
+  return { user, token };
+}
+
 function authenticateRequest(req, users) {
-  const payload = getAuthPayload(req);
-  if (!payload || typeof payload.name !== 'string' || typeof payload.passwordHash !== 'string') {
+  const token = getAuthToken(req);
+  if (!token) return null;
+
+  const authSessions = storage.readAuthSessions();
+  const tokenHash = hashToken(token);
+  const authSession = authSessions.find((s) => s.tokenHash === tokenHash);
+  if (!authSession) return null;
+
+  const now = new Date();
+  if (authSessionHasExpired(authSession, now)) {
+    revokeAuthSessions((s) => s.id === authSession.id);
     return null;
   }
-  const user = findUser(users, payload.name);
+
+  const user = findUser(users, authSession.userName);
   if (!user) return null;
-  if (user.passwordHash !== payload.passwordHash) return null;
-  return user;
+
+  // Renouvellement glissant (écriture au plus une fois par intervalle)
+  if (now.getTime() - new Date(authSession.lastSeenAt).getTime() >= AUTH_SESSION_RENEW_INTERVAL_MS) {
+    authSession.lastSeenAt = now.toISOString();
+    authSession.expiresAt = new Date(now.getTime() + AUTH_SESSION_TTL_MS).toISOString();
+    storage.writeAuthSessions(authSessions);
+  }
+
+  return { user, authSession };
 }
 
 function sanitizeUserForClient(user) {
   return {
     name: user.name,
-    passwordHash: user.passwordHash
+    isAdmin: isAdmin(user)
   };
 }
 
@@ -137,20 +417,189 @@ function sendJson(res, status, payload, headers = {}) {
   res.end(body);
 }
 
-function sendError(res, status, message) {
-  sendJson(res, status, { ok: false, error: message });
+function sendError(res, status, message, headers = {}) {
+  sendJson(res, status, { ok: false, error: message }, headers);
+}
+
+const authIpLimiter = createRateLimiter({ limit: RATE_LIMIT_AUTH_PER_IP, windowMs: RATE_LIMIT_WINDOW_MS });
+const postIpLimiter = createRateLimiter({ limit: RATE_LIMIT_POST_PER_IP, windowMs: RATE_LIMIT_WINDOW_MS });
+const postUserLimiter = createRateLimiter({ limit: RATE_LIMIT_POST_PER_USER, windowMs: RATE_LIMIT_WINDOW_MS });
+const signinAccountLockouts = createLockoutTracker({
+  maxFailures: SIGNIN_MAX_FAILURES,
+  windowMs: SIGNIN_LOCKOUT_MS,
+  lockoutMs: SIGNIN_LOCKOUT_MS
+});
+const signinIpLockouts = createLockoutTracker({
+  maxFailures: SIGNIN_MAX_FAILURES_PER_IP,
+  windowMs: SIGNIN_LOCKOUT_MS,
+  lockoutMs: SIGNIN_LOCKOUT_MS
+});
+
+function getClientIp(req) {
+  if (TRUST_PROXY && typeof req.headers['x-forwarded-for'] === 'string') {
+    const forwarded = req.headers['x-forwarded-for'].split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+function formatRetryDelay(seconds) {
+  return seconds >= 120 ? `${Math.ceil(seconds / 60)} min` : `${seconds} s`;
+}
+
+function sendTooManyRequests(res, retryAfterSeconds, message = 'Trop de requêtes') {
+  sendError(res, 429, `${message}, réessayez dans ${formatRetryDelay(retryAfterSeconds)}`, {
+    'Retry-After': String(retryAfterSeconds)
+  });
+}
+
+// Retourne false (et répond 429) si la limite est dépassée
+function checkRateLimit(res, limiter, key) {
+  const { allowed, retryAfterSeconds } = limiter.hit(key);
+  if (!allowed) {
+    debugLog(`Limite de débit atteinte pour ${key}`);
+    sendTooManyRequests(res, retryAfterSeconds);
+  }
+  return allowed;
+}
+
+// Verrouillage temporaire après des échecs de connexion répétés, par compte et par IP
+function checkSigninLockout(req, res, name) {
+  const retryAfterSeconds = Math.max(
+    signinAccountLockouts.check(`account:${name.trim().toLowerCase()}`),
+    signinIpLockouts.check(`ip:${getClientIp(req)}`)
+  );
+  if (retryAfterSeconds > 0) {
+    sendTooManyRequests(res, retryAfterSeconds, 'Trop de tentatives échouées');
+    return false;
+  }
+  return true;
+}
+
+function recordSigninFailure(req, name) {
+  const normalized = name.trim().toLowerCase();
+  const ip = getClientIp(req);
+  const lockedFor = Math.max(
+    signinAccountLockouts.recordFailure(`account:${normalized}`),
+    signinIpLockouts.recordFailure(`ip:${ip}`)
+  );
+  if (lockedFor > 0) {
+    console.warn(`🔒 Connexion verrouillée pour ${normalized} / ${ip} (${formatRetryDelay(lockedFor)})`);
+  }
+}
+
+function startRateLimitCleanup() {
+  const timer = setInterval(() => {
+    const limiters = [authIpLimiter, postIpLimiter, postUserLimiter, signinAccountLockouts, signinIpLockouts];
+    limiters.forEach((limiter) => limiter.cleanup());
+    debugLog(`Compteurs de limitation : ${limiters.map((limiter) => limiter.size()).join('/')}`);
+  }, RATE_LIMIT_CLEANUP_INTERVAL_MS);
+  timer.unref();
+}
+
+const liveUpdates = createEventHub();
+// Dernier état diffusé de chaque session : id -> { fields, messages } (JSON), pour ne publier que les différences
+let publishedSessions = new Map();
+
+function snapshotSession(session) {
+  const { messages, ...fields } = formatSessionForClient(session);
+  return { fields: JSON.stringify(fields), messages: messages.map((message) => JSON.stringify(message)) };
+}
+
+function initLiveUpdates() {
+  notifications.onInboxUpdated(publishInboxCount);
+  publishedSessions = new Map(storage.readSessions().map((session) => [session.id, snapshotSession(session)]));
+
+  const timer = setInterval(() => {
+    // Fermer les flux dont l'appareil a été déconnecté ou a expiré
+    const now = new Date();
+    const authSessions = new Map(storage.readAuthSessions().map((s) => [s.id, s]));
+    liveUpdates.heartbeat((client) => {
+      const authSession = authSessions.get(client.authSessionId);
+      return Boolean(authSession) && !authSessionHasExpired(authSession, now);
+    });
+    debugLog(`Flux temps réel ouverts : ${liveUpdates.size()}`);
+  }, LIVE_HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+}
+
+// Comparer avec le dernier état diffusé : les nouveaux messages du chat partent seuls,
+// toute autre modification renvoie la session complète
+function publishSessionChanges(sessions) {
+  const next = new Map();
+  for (const session of sessions) {
+    const snapshot = snapshotSession(session);
+    next.set(session.id, snapshot);
+
+    const previous = publishedSessions.get(session.id);
+    const onlyNewMessages = previous
+      && previous.fields === snapshot.fields
+      && previous.messages.every((message, index) => snapshot.messages[index] === message);
+    if (!onlyNewMessages) {
+      liveUpdates.broadcast('session', { session: formatSessionForClient(session) });
+      continue;
+    }
+    for (const message of (session.messages || []).slice(previous.messages.length)) {
+      liveUpdates.broadcast('message', { sessionId: session.id, message });
+    }
+  }
+  for (const sessionId of publishedSessions.keys()) {
+    if (!next.has(sessionId)) {
+      liveUpdates.broadcast('session-deleted', { sessionId });
+    }
+  }
+  publishedSessions = next;
+}
+
+function countUnreadInbox(userName) {
+  return storage.readInbox().filter((entry) => entry.userName === userName && !entry.readAt).length;
+}
+
+// Mettre à jour le compteur de non-lus sur tous les appareils connectés de l'utilisateur
+function publishInboxCount(userName) {
+  const normalized = userName.toLowerCase();
+  liveUpdates.broadcast('inbox', { unreadCount: countUnreadInbox(userName) }, (client) => client.userName === normalized);
+}
+
+// Ce dont dépendent les rappels de chaque session : id -> JSON, pour ne les reprogrammer
+// que si l'horaire, les membres ou l'annulation changent (pas pour un message du chat)
+let scheduledSessions = null;
+
+function getSchedulingKeys(sessions) {
+  return new Map(sessions.map((session) => [session.id, JSON.stringify([
+    session.datetime,
+    session.organizer,
+    session.participants || [],
+    Boolean(session.cancelled)
+  ])]));
+}
+
+// Toute écriture des sessions passe par ici pour que les clients connectés soient prévenus
+function saveSessions(sessions) {
+  storage.writeSessions(sessions);
+  const keys = getSchedulingKeys(sessions);
+  const changed = !scheduledSessions || keys.size !== scheduledSessions.size
+    || Array.from(keys).some(([sessionId, key]) => scheduledSessions.get(sessionId) !== key);
+  scheduledSessions = keys;
+  if (changed) {
+    notifications.syncScheduledJobs();
+  }
+  try {
+    publishSessionChanges(sessions);
+  } catch (err) {
+    debugError('Erreur lors de la diffusion temps réel:', err);
+  }
 }
 
-function setAuthCookieHeaders(user) {
-  const value = encodeURIComponent(JSON.stringify({ name: user.name, passwordHash: user.passwordHash }));
+function setAuthCookieHeaders(token) {
   return {
-    'Set-Cookie': `${COOKIE_NAME}=${value}; Max-Age=${COOKIE_MAX_AGE_SECONDS}; Path=/; SameSite=Lax`
+    'Set-Cookie': `${COOKIE_NAME}=${token}; Max-Age=${COOKIE_MAX_AGE_SECONDS}; Path=/; HttpOnly; SameSite=Lax`
   };
 }
 
 function clearAuthCookieHeader() {
   return {
-    'Set-Cookie': `${COOKIE_NAME}=; Max-Age=0; Path=/; SameSite=Lax`
+    'Set-Cookie': `${COOKIE_NAME}=; Max-Age=0; Path=/; HttpOnly; SameSite=Lax`
   };
 }
 
@@ -159,9 +608,12 @@ function validateContentType(req) {
   return typeof contentType === 'string' && contentType.includes('application/json');
 }
 
+// Une session se termine à la fin du créneau ; une session annulée n'a plus lieu d'être
+// affichée une fois son heure de début passée
 function sessionHasExpired(session, referenceDate = new Date()) {
   const start = new Date(session.datetime);
   if (Number.isNaN(start.getTime())) return true;
+  if (sessionIsCancelled(session)) return referenceDate.getTime() >= start.getTime();
   const endTime = start.getTime() + session.durationMinutes * 60000;
   return referenceDate.getTime() > endTime;
 }
@@ -172,182 +624,1776 @@ function sessionHasStarted(session, referenceDate = new Date()) {
   return referenceDate.getTime() >= start.getTime();
 }
 
+function sessionIsCancelled(session) {
+  return session.cancelled === true;
+}
+
+function formatCancellationForClient(session) {
+  return {
+    cancelled: sessionIsCancelled(session),
+    cancelReason: session.cancelReason || null,
+    cancelledAt: session.cancelledAt || null,
+    cancelledBy: session.cancelledBy || null
+  };
+}
+
 function formatSessionForClient(session) {
   return {
     id: session.id,
     datetime: session.datetime,
     durationMinutes: session.durationMinutes,
     club: session.club,
+    clubId: session.clubId || null,
     level: session.level,
     capacity: session.capacity,
     pricePerParticipant: session.pricePerParticipant,
     organizer: session.organizer,
     participants: session.participants,
     followers: session.followers || [],
+    waitlist: session.waitlist || [],
     messages: session.messages || [],
     createdAt: session.createdAt,
+    ...formatCancellationForClient(session),
     participantCount: Math.min(session.participants.length + 1, session.capacity)
   };
 }
 
-function purgeExpiredSessions() {
-  const now = new Date();
-  const sessions = storage.readSessions();
-  const remaining = sessions.filter((session) => !sessionHasExpired(session, now));
-  if (remaining.length !== sessions.length) {
-    storage.writeSessions(remaining);
-    return true;
-  }
-  return false;
-}
-
-async function handleSignup(req, res) {
-  if (!validateContentType(req)) {
-    sendError(res, 400, 'Content-Type must be application/json');
-    return;
-  }
+// Valider les paramètres communs aux sessions et aux sessions récurrentes
+function validateSessionFields(payload) {
+  const { durationMinutes, clubId, club, level, capacity, pricePerParticipant } = payload || {};
 
-  let payload;
-  try {
-    payload = await parseBody(req);
-  } catch (err) {
-    sendError(res, 400, err.message);
-    return;
+  const duration = Number(durationMinutes);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > 300) {
+    return { error: 'Durée invalide' };
   }
 
-  if (!payload || typeof payload.name !== 'string' || typeof payload.password !== 'string') {
-    sendError(res, 400, 'Missing credentials');
-    return;
+  // Club désigné par son identifiant (ou par son nom pour les anciens clients)
+  const clubs = storage.readClubs();
+  let clubRecord = null;
+  let normalizedClub = '';
+  if (typeof clubId === 'string' && clubId) {
+    clubRecord = clubs.find((c) => c.id === clubId);
+    if (!clubRecord) {
+      return { error: 'Club inconnu' };
+    }
+  } else {
+    normalizedClub = typeof club === 'string' ? club.trim() : '';
+    if (!normalizedClub) {
+      return { error: 'Club invalide' };
+    }
+    clubRecord = clubs.find((c) => c.name === normalizedClub) || null;
+    if (clubs.length && !clubRecord) {
+      return { error: 'Club inconnu' };
+    }
   }
 
-  const name = payload.name.trim();
-  const password = payload.password;
-
-  if (name.length < 3 || name.length > 20 || !/^[A-Za-z0-9_-]+$/.test(name)) {
-    sendError(res, 400, 'Nom invalide (3-20 caractères, alphanumérique, tiret ou underscore)');
-    return;
+  const normalizedLevel = typeof level === 'string' ? level.trim() : '';
+  if (!normalizedLevel || !ALLOWED_LEVELS.includes(normalizedLevel)) {
+    return { error: 'Niveau invalide' };
   }
 
-  if (password.length < 6 || password.length > 64) {
-    sendError(res, 400, 'Mot de passe invalide (6-64 caractères)');
-    return;
+  const normalizedCapacity = Number(capacity);
+  if (!Number.isInteger(normalizedCapacity) || normalizedCapacity < 1 || normalizedCapacity > 12) {
+    return { error: 'Capacité invalide' };
   }
 
-  const users = storage.readUsers();
-  const normalized = name.toLowerCase();
-
-  if (users.length >= MAX_USERS) {
-    sendError(res, 400, `Limite d'utilisateurs atteinte (${MAX_USERS} maximum)`);
-    return;
+  const price = Number(pricePerParticipant);
+  if (!Number.isFinite(price) || price < 0) {
+    return { error: 'Prix invalide' };
   }
 
-  if (users.some((u) => u.normalized === normalized)) {
-    sendError(res, 400, 'Nom déjà utilisé');
-    return;
-  }
+  return {
+    fields: {
+      durationMinutes: duration,
+      club: clubRecord ? clubRecord.name : normalizedClub,
+      clubId: clubRecord ? clubRecord.id : null,
+      level: normalizedLevel,
+      capacity: normalizedCapacity,
+      pricePerParticipant: Math.round(price * 100) / 100
+    }
+  };
+}
 
-  const passwordHash = hashPassword(password);
-  const user = {
-    name,
-    normalized,
-    passwordHash,
+function createSessionRecord(fields, startDate, organizer, extra = {}) {
+  return {
+    id: crypto.randomUUID(),
+    datetime: startDate.toISOString(),
+    durationMinutes: fields.durationMinutes,
+    club: fields.club,
+    clubId: fields.clubId || null,
+    level: fields.level,
+    capacity: fields.capacity,
+    pricePerParticipant: fields.pricePerParticipant,
+    organizer,
+    participants: [],
+    followers: [],
+    waitlist: [],
+    messages: [],
     createdAt: new Date().toISOString(),
-    pushSubscriptions: []
+    ...extra
   };
+}
 
-  users.push(user);
-  storage.writeUsers(users);
+function sessionIsFull(session) {
+  return session.participants.length + 1 >= session.capacity; // +1 pour l'organisateur
+}
 
-  sendJson(res, 200, { ok: true, user: sanitizeUserForClient(user) }, setAuthCookieHeaders(user));
+// Inscrire les premiers de la liste d'attente tant qu'il reste des places
+function promoteFromWaitlist(session) {
+  const waitlist = session.waitlist || [];
+  const promoted = [];
+  while (waitlist.length > 0 && !sessionIsFull(session)) {
+    const name = waitlist.shift();
+    if (name === session.organizer || session.participants.includes(name)) continue;
+    session.participants.push(name);
+    promoted.push(name);
+  }
+  session.waitlist = waitlist;
+  return promoted;
 }
 
-async function handleSignin(req, res) {
-  if (!validateContentType(req)) {
-    sendError(res, 400, 'Content-Type must be application/json');
-    return;
+function notifyWaitlistPromotions(session, promoted) {
+  for (const name of promoted) {
+    notifications.sendWaitlistPromotedNotification(session, name).catch((err) => {
+      debugError('Erreur lors de l\'envoi de la notification de promotion:', err);
+    });
+    notifications.sendParticipantJoinedNotification(session, name).catch((err) => {
+      debugError('Erreur lors de l\'envoi de la notification à l\'organisateur:', err);
+    });
   }
+}
 
-  let payload;
-  try {
-    payload = await parseBody(req);
-  } catch (err) {
-    sendError(res, 400, err.message);
-    return;
-  }
+function formatArchivedSessionForClient(entry) {
+  return {
+    id: entry.id,
+    datetime: entry.datetime,
+    durationMinutes: entry.durationMinutes,
+    club: entry.club,
+    level: entry.level,
+    capacity: entry.capacity,
+    pricePerParticipant: entry.pricePerParticipant,
+    organizer: entry.organizer,
+    participants: entry.participants,
+    followers: entry.followers || [],
+    messages: entry.messages || [],
+    createdAt: entry.createdAt,
+    ...formatCancellationForClient(entry),
+    archivedAt: entry.archivedAt,
+    participantCount: entry.participants.length + 1
+  };
+}
 
-  if (!payload || typeof payload.name !== 'string') {
-    sendError(res, 400, 'Missing credentials');
-    return;
+// Archiver les sessions terminées ou annulées et passées (qui a joué, où, quand et pour combien)
+function archiveSessions(expiredSessions, referenceDate) {
+  const history = storage.readHistory();
+  const archivedIds = new Set(history.map((entry) => entry.id));
+
+  for (const session of expiredSessions) {
+    if (archivedIds.has(session.id)) continue;
+    history.push({
+      id: session.id,
+      datetime: session.datetime,
+      durationMinutes: session.durationMinutes,
+      club: session.club,
+      level: session.level,
+      capacity: session.capacity,
+      pricePerParticipant: session.pricePerParticipant,
+      organizer: session.organizer,
+      participants: session.participants,
+      followers: session.followers || [],
+      messages: session.messages || [],
+      createdAt: session.createdAt,
+      cancelled: sessionIsCancelled(session),
+      cancelReason: session.cancelReason || null,
+      cancelledAt: session.cancelledAt || null,
+      cancelledBy: session.cancelledBy || null,
+      archivedAt: referenceDate.toISOString()
+    });
   }
 
-  const name = payload.name.trim();
-  const users = storage.readUsers();
-  const user = findUser(users, name);
-  if (!user) {
-    setTimeout(() => sendError(res, 401, 'Authentification échouée'), 250);
-    return;
+  // Supprimer les entrées les plus anciennes au-delà de la limite
+  if (history.length > MAX_ARCHIVED_SESSIONS) {
+    history.splice(0, history.length - MAX_ARCHIVED_SESSIONS);
   }
 
-  let providedHash = null;
-  if (typeof payload.password === 'string') {
-    if (payload.password.length < 6 || payload.password.length > 64) {
-      sendError(res, 400, 'Authentification échouée');
-      return;
-    }
-    providedHash = hashPassword(payload.password);
-  } else if (typeof payload.passwordHash === 'string') {
-    providedHash = payload.passwordHash;
-  }
+  storage.writeHistory(history);
+}
 
-  if (!providedHash || providedHash !== user.passwordHash) {
-    setTimeout(() => sendError(res, 401, 'Authentification échouée'), 250);
-    return;
+function purgeExpiredSessions() {
+  const now = new Date();
+  const sessions = storage.readSessions();
+  const expired = sessions.filter((session) => sessionHasExpired(session, now));
+  if (expired.length === 0) {
+    return false;
   }
 
-  sendJson(res, 200, { ok: true, user: sanitizeUserForClient(user) }, setAuthCookieHeaders(user));
+  // Archiver avant de supprimer pour ne rien perdre en cas d'erreur
+  archiveSessions(expired, now);
+  saveSessions(sessions.filter((session) => !expired.includes(session)));
+  return true;
 }
 
-async function handleSignout(req, res) {
-  sendJson(res, 200, { ok: true }, clearAuthCookieHeader());
+// --- Sessions récurrentes ---
+// Les jours et heures des modèles sont exprimés dans le fuseau horaire du serveur (TZ)
+
+function formatLocalDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
 }
 
-function requireAuth(req, res) {
-  try {
-    const users = storage.readUsers();
-    const user = authenticateRequest(req, users);
-    if (!user) {
-      sendError(res, 401, 'Authentification requise');
-      return null;
-    }
-    return { user };
-  } catch (err) {
-    sendError(res, 500, 'Erreur serveur');
-    return null;
-  }
+function isValidDateKey(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return formatLocalDateKey(date) === value;
 }
 
-function respondWithSessions(res) {
-  const sessions = [...storage.readSessions()]
-    .sort((a, b) => {
-      const dateA = new Date(a.datetime);
-      const dateB = new Date(b.datetime);
-      return dateA.getTime() - dateB.getTime();
-    })
-    .map(formatSessionForClient);
-  const validUsernames = storage.readUsers().map((u) => u.name);
-  const clubs = storage.readClubs();
-  sendJson(res, 200, { ok: true, sessions, clubs, validUsernames });
+function buildOccurrenceDate(dateKey, time) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
 }
 
-function handleListSessions(req, res) {
-  const auth = requireAuth(req, res);
-  if (!auth) return;
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return formatLocalDateKey(new Date(year, month - 1, day + days));
+}
 
-  purgeExpiredSessions();
+function validateTemplateSchedule(payload) {
+  const weekday = Number(payload && payload.weekday);
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    return { error: 'Jour de la semaine invalide' };
+  }
+  const time = payload && typeof payload.time === 'string' ? payload.time.trim() : '';
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    return { error: 'Heure invalide' };
+  }
+  return { schedule: { weekday, time } };
+}
+
+function formatTemplateForClient(template) {
+  return {
+    id: template.id,
+    organizer: template.organizer,
+    weekday: template.weekday,
+    time: template.time,
+    durationMinutes: template.durationMinutes,
+    club: template.club,
+    clubId: template.clubId || null,
+    level: template.level,
+    capacity: template.capacity,
+    pricePerParticipant: template.pricePerParticipant,
+    paused: Boolean(template.paused),
+    skipDates: template.skipDates || [],
+    generatedDates: template.generatedDates || [],
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+// Créer les sessions des modèles récurrents jusqu'à RECURRING_HORIZON_DAYS jours à l'avance
+function generateRecurringSessions(referenceDate = new Date()) {
+  const templates = storage.readTemplates();
+  if (templates.length === 0) return [];
+
+  const sessions = storage.readSessions();
+  const today = formatLocalDateKey(referenceDate);
+  const created = [];
+  let templatesChanged = false;
+
+  for (const template of templates) {
+    // Oublier les dates passées
+    const generatedDates = (template.generatedDates || []).filter((date) => date >= today);
+    const skipDates = (template.skipDates || []).filter((date) => date >= today);
+    if (generatedDates.length !== (template.generatedDates || []).length
+      || skipDates.length !== (template.skipDates || []).length) {
+      templatesChanged = true;
+    }
+    template.generatedDates = generatedDates;
+    template.skipDates = skipDates;
+
+    if (template.paused) continue;
+
+    for (let offset = 0; offset <= RECURRING_HORIZON_DAYS; offset++) {
+      const day = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate() + offset);
+      if (day.getDay() !== template.weekday) continue;
+
+      const dateKey = formatLocalDateKey(day);
+      if (template.generatedDates.includes(dateKey) || template.skipDates.includes(dateKey)) continue;
+      if (sessions.some((s) => s.templateId === template.id && s.occurrenceDate === dateKey)) continue;
+
+      const start = buildOccurrenceDate(dateKey, template.time);
+      if (start.getTime() <= referenceDate.getTime()) continue;
+
+      if (sessions.length >= MAX_SESSIONS) {
+        debugLog(`Limite de sessions atteinte, session récurrente du ${dateKey} non créée`);
+        break;
+      }
+
+      const session = createSessionRecord(template, start, template.organizer, {
+        templateId: template.id,
+        occurrenceDate: dateKey
+      });
+      sessions.push(session);
+      template.generatedDates.push(dateKey);
+      created.push(session);
+      templatesChanged = true;
+    }
+  }
+
+  if (created.length > 0) {
+    saveSessions(sessions);
+  }
+  if (templatesChanged) {
+    storage.writeTemplates(templates);
+  }
+
+  for (const session of created) {
+    notifications.sendNewSessionNotification(session).catch((err) => {
+      debugError('Erreur lors de l\'envoi des notifications push:', err);
+    });
+  }
+
+  return created;
+}
+
+function startRecurringSessionGenerator() {
+  const run = () => {
+    try {
+      const created = generateRecurringSessions();
+      if (created.length > 0) {
+        debugLog(`${created.length} session(s) récurrente(s) créée(s)`);
+      }
+    } catch (err) {
+      debugError('Erreur lors de la création des sessions récurrentes:', err);
+    }
+  };
+  setInterval(run, RECURRING_CHECK_INTERVAL_MS);
+  setTimeout(run, 2000);
+}
+
+// Reporter les modifications d'un modèle sur ses sessions à venir
+function formatPriceLabel(price) {
+  return Number(price) === 0
+    ? 'Gratuit'
+    : new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(price);
+}
+
+function formatDurationLabel(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours && rest) return `${hours} h ${rest} min`;
+  return hours ? `${hours} h` : `${rest} min`;
+}
+
+// Résumé avant → après des champs modifiés qui concernent les joueurs
+function describeSessionChanges(before, after) {
+  const changes = [];
+  if (before.datetime !== after.datetime) {
+    changes.push(`Date : ${notifications.formatSessionDate(before)} → ${notifications.formatSessionDate(after)}`);
+  }
+  if (before.club !== after.club) {
+    changes.push(`Club : ${before.club} → ${after.club}`);
+  }
+  if (before.pricePerParticipant !== after.pricePerParticipant) {
+    changes.push(`Prix : ${formatPriceLabel(before.pricePerParticipant)} → ${formatPriceLabel(after.pricePerParticipant)}`);
+  }
+  if (before.durationMinutes !== after.durationMinutes) {
+    changes.push(`Durée : ${formatDurationLabel(before.durationMinutes)} → ${formatDurationLabel(after.durationMinutes)}`);
+  }
+  if (before.level !== after.level) {
+    changes.push(`Niveau : ${before.level} → ${after.level}`);
+  }
+  return changes;
+}
+
+// Consigner les modifications dans le chat de la session (message système) ; retourne la liste des changements
+function logSessionChanges(session, before, editorName) {
+  const changes = describeSessionChanges(before, session);
+  if (changes.length === 0) return changes;
+
+  session.messages = [...(session.messages || []), {
+    id: crypto.randomUUID(),
+    sender: editorName,
+    text: `Session modifiée\n${changes.join('\n')}`,
+    timestamp: new Date().toISOString(),
+    system: true
+  }].slice(-MAX_MESSAGES_PER_SESSION);
+  return changes;
+}
+
+function notifySessionChanges(session, changes, editorName) {
+  if (changes.length === 0) return;
+  notifications.sendSessionUpdatedNotification(session, changes, editorName).catch((err) => {
+    debugError('Erreur lors de l\'envoi des notifications de modification:', err);
+  });
+}
+
+function applyTemplateToFutureSessions(template, previousWeekday, sessions) {
+  const updated = [];
+  const now = new Date();
+
+  for (const session of sessions) {
+    if (session.templateId !== template.id || sessionHasStarted(session, now)) continue;
+
+    const before = { ...session };
+    const dateKey = shiftDateKey(session.occurrenceDate, template.weekday - previousWeekday);
+    const start = buildOccurrenceDate(dateKey, template.time);
+    if (start.getTime() > now.getTime()) {
+      template.generatedDates = (template.generatedDates || [])
+        .filter((date) => date !== session.occurrenceDate)
+        .concat(dateKey);
+      session.occurrenceDate = dateKey;
+      session.datetime = start.toISOString();
+    }
+
+    session.durationMinutes = template.durationMinutes;
+    session.club = template.club;
+    session.clubId = template.clubId || null;
+    session.level = template.level;
+    session.pricePerParticipant = template.pricePerParticipant;
+    // Ne jamais descendre sous le nombre d'inscrits
+    session.capacity = Math.max(template.capacity, session.participants.length + 1);
+
+    const changes = logSessionChanges(session, before, template.organizer);
+    updated.push({ session, changes, promoted: promoteFromWaitlist(session) });
+  }
+
+  return updated;
+}
+
+// --- Catalogue des clubs ---
+
+function formatClubForClient(club) {
+  return {
+    id: club.id,
+    name: club.name,
+    address: club.address || '',
+    latitude: club.latitude ?? null,
+    longitude: club.longitude ?? null,
+    courts: club.courts ?? null,
+    defaultPricePerParticipant: club.defaultPricePerParticipant ?? null,
+    defaultDurationMinutes: club.defaultDurationMinutes ?? null
+  };
+}
+
+// Valeur numérique optionnelle : null si absente, undefined si invalide
+function parseOptionalNumber(value, { min, max, integer = false }) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) return undefined;
+  if (integer && !Number.isInteger(number)) return undefined;
+  return number;
+}
+
+function validateClubPayload(payload, clubs, currentClub = null) {
+  const name = payload && typeof payload.name === 'string' ? payload.name.trim() : '';
+  if (!name || name.length > 60) {
+    return { error: 'Nom de club invalide (1-60 caractères)' };
+  }
+  const normalizedName = name.toLowerCase();
+  if (clubs.some((c) => c !== currentClub && c.name.toLowerCase() === normalizedName)) {
+    return { error: 'Un club porte déjà ce nom' };
+  }
+
+  const address = typeof payload.address === 'string' ? payload.address.trim() : '';
+  if (address.length > 200) {
+    return { error: 'Adresse invalide (200 caractères maximum)' };
+  }
+
+  const latitude = parseOptionalNumber(payload.latitude, { min: -90, max: 90 });
+  const longitude = parseOptionalNumber(payload.longitude, { min: -180, max: 180 });
+  if (latitude === undefined || longitude === undefined || (latitude === null) !== (longitude === null)) {
+    return { error: 'Coordonnées GPS invalides' };
+  }
+
+  const courts = parseOptionalNumber(payload.courts, { min: 1, max: 50, integer: true });
+  if (courts === undefined) {
+    return { error: 'Nombre de terrains invalide' };
+  }
+
+  const defaultPrice = parseOptionalNumber(payload.defaultPricePerParticipant, { min: 0, max: 200 });
+  if (defaultPrice === undefined) {
+    return { error: 'Prix par défaut invalide' };
+  }
+
+  const defaultDuration = parseOptionalNumber(payload.defaultDurationMinutes, { min: 1, max: 300, integer: true });
+  if (defaultDuration === undefined) {
+    return { error: 'Durée par défaut invalide' };
+  }
+
+  return {
+    club: {
+      name,
+      address,
+      latitude,
+      longitude,
+      courts,
+      defaultPricePerParticipant: defaultPrice === null ? null : Math.round(defaultPrice * 100) / 100,
+      defaultDurationMinutes: defaultDuration
+    }
+  };
+}
+
+// Convertir l'ancien format (liste de noms) en fiches clubs et relier les sessions existantes
+function upgradeClubCatalogue() {
+  const clubs = storage.readClubs();
+  if (!clubs.some((club) => typeof club === 'string')) return;
+
+  const now = new Date().toISOString();
+  const upgraded = clubs.map((club) => (typeof club === 'string'
+    ? {
+      id: crypto.randomUUID(),
+      name: club,
+      address: '',
+      latitude: null,
+      longitude: null,
+      courts: null,
+      defaultPricePerParticipant: null,
+      defaultDurationMinutes: null,
+      createdAt: now,
+      updatedAt: now
+    }
+    : club));
+  storage.writeClubs(upgraded);
+
+  const linkClub = (record) => {
+    if (record.clubId) return false;
+    const club = upgraded.find((c) => c.name === record.club);
+    if (!club) return false;
+    record.clubId = club.id;
+    return true;
+  };
+
+  const sessions = storage.readSessions();
+  if (sessions.filter(linkClub).length > 0) {
+    saveSessions(sessions);
+  }
+  const templates = storage.readTemplates();
+  if (templates.filter(linkClub).length > 0) {
+    storage.writeTemplates(templates);
+  }
+
+  console.log(`Catalogue des clubs converti (${upgraded.length} club(s))`);
+}
+
+// Sessions créées avant les rappels multiples : le drapeau reminderSent devient la liste des rappels
+// envoyés pour l'horaire actuel, si bien qu'une session déplacée reçoit ses nouveaux rappels.
+// Écriture directe : le planificateur n'est pas encore démarré et se synchronisera lui-même
+function upgradeLegacyReminders() {
+  const sessions = storage.readSessions();
+  const legacy = sessions.filter((session) => 'reminderSent' in session);
+  if (legacy.length === 0) return;
+
+  const users = storage.readUsers();
+  for (const session of legacy) {
+    if (session.reminderSent && !session.remindersSent) {
+      notifications.markCurrentRemindersSent(session, users);
+    }
+    delete session.reminderSent;
+  }
+  storage.writeSessions(sessions);
+  console.log(`Rappels de ${legacy.length} session(s) convertis au format par utilisateur`);
+}
+
+async function handleSignup(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.name !== 'string' || typeof payload.password !== 'string') {
+    sendError(res, 400, 'Missing credentials');
+    return;
+  }
+
+  const name = payload.name.trim();
+  const password = payload.password;
+
+  if (name.length < 3 || name.length > 20 || !/^[A-Za-z0-9_-]+$/.test(name)) {
+    sendError(res, 400, 'Nom invalide (3-20 caractères, alphanumérique, tiret ou underscore)');
+    return;
+  }
+
+  if (password.length < 6 || password.length > 64) {
+    sendError(res, 400, 'Mot de passe invalide (6-64 caractères)');
+    return;
+  }
+
+  const inviteCode = normalizeInviteCode(payload.inviteCode);
+
+  // Hasher avant de lire les utilisateurs : aucune attente entre la vérification et l'écriture
+  const passwordHash = await hashPassword(password);
+  const users = storage.readUsers();
+  const normalized = name.toLowerCase();
+
+  if (users.length >= MAX_USERS) {
+    sendError(res, 400, `Limite d'utilisateurs atteinte (${MAX_USERS} maximum)`);
+    return;
+  }
+
+  if (users.some((u) => u.normalized === normalized)) {
+    sendError(res, 400, 'Nom déjà utilisé');
+    return;
+  }
+
+  // Le premier compte est créé sans invitation pour pouvoir démarrer
+  const now = new Date();
+  const invites = storage.readInvites();
+  const invite = invites.find((candidate) => candidate.code === inviteCode);
+  if (users.length > 0) {
+    if (!inviteCode) {
+      sendError(res, 403, 'Inscription sur invitation uniquement : code d\'invitation requis');
+      return;
+    }
+    if (!invite || !inviteIsUsable(invite, now)) {
+      sendError(res, 403, 'Code d\'invitation invalide ou expiré');
+      return;
+    }
+  }
+
+  const user = {
+    name,
+    normalized,
+    passwordHash,
+    invitedBy: invite && users.length > 0 ? invite.createdBy : null,
+    inviteCode: invite && users.length > 0 ? invite.code : null,
+    createdAt: now.toISOString(),
+    pushSubscriptions: []
+  };
+
+  users.push(user);
+  storage.writeUsers(users);
+
+  if (user.inviteCode) {
+    invite.uses += 1;
+    invite.usedBy = [...(invite.usedBy || []), { name: user.name, at: now.toISOString() }];
+    storage.writeInvites(invites);
+    debugLog(`${user.name} inscrit avec l'invitation ${invite.code} de ${invite.createdBy}`);
+  }
+
+  const { token } = createAuthSession(req, user);
+  sendJson(res, 200, { ok: true, user: sanitizeUserForClient(user) }, setAuthCookieHeaders(token));
+}
+
+async function handleSignin(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.name !== 'string') {
+    sendError(res, 400, 'Missing credentials');
+    return;
+  }
+
+  const name = payload.name.trim();
+  if (!checkSigninLockout(req, res, name)) return;
+
+  // Même réponse (401 différée, échec comptabilisé) pour un compte inconnu ou un mot de passe
+  // de longueur invalide : rien ne permet de savoir quels comptes existent
+  const users = storage.readUsers();
+  const user = findUser(users, name);
+  const validPassword = typeof payload.password === 'string'
+    && payload.password.length >= 6 && payload.password.length <= 64;
+  if (!user || !validPassword) {
+    recordSigninFailure(req, name);
+    setTimeout(() => sendError(res, 401, 'Authentification échouée'), 250);
+    return;
+  }
+
+  const storedHash = user.passwordHash;
+  const { ok, needsRehash } = await verifyPassword(payload.password, storedHash);
+  if (!ok) {
+    recordSigninFailure(req, name);
+    setTimeout(() => sendError(res, 401, 'Authentification échouée'), 250);
+    return;
+  }
+  signinAccountLockouts.reset(`account:${user.normalized}`);
+
+  // Migration transparente vers le hash courant
+  if (needsRehash) {
+    const upgradedHash = await hashPassword(payload.password);
+    const freshUsers = storage.readUsers();
+    const freshUser = findUser(freshUsers, user.name);
+    if (freshUser && freshUser.passwordHash === storedHash) {
+      freshUser.passwordHash = upgradedHash;
+      storage.writeUsers(freshUsers);
+      debugLog(`Mot de passe de ${user.name} migré vers scrypt`);
+    }
+  }
+
+  const { token } = createAuthSession(req, user);
+  sendJson(res, 200, { ok: true, user: sanitizeUserForClient(user) }, setAuthCookieHeaders(token));
+}
+
+async function handleSignout(req, res) {
+  // Invalider le jeton de cet appareil et ses abonnements push
+  const token = getAuthToken(req);
+  if (token) {
+    const tokenHash = hashToken(token);
+    revokeAuthSessions((s) => s.tokenHash === tokenHash);
+  }
+  sendJson(res, 200, { ok: true }, clearAuthCookieHeader());
+}
+
+// Restaurer la connexion au chargement de la page et prolonger le cookie
+function handleMe(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+
+  sendJson(res, 200, { ok: true, user: sanitizeUserForClient(auth.user) }, setAuthCookieHeaders(getAuthToken(req)));
+}
+
+function formatDeviceForClient(authSession, currentId) {
+  return {
+    id: authSession.id,
+    userAgent: authSession.userAgent || '',
+    createdAt: authSession.createdAt,
+    lastSeenAt: authSession.lastSeenAt,
+    expiresAt: authSession.expiresAt,
+    current: authSession.id === currentId
+  };
+}
+
+function handleListDevices(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user, authSession } = auth;
+
+  const now = new Date();
+  const devices = storage.readAuthSessions()
+    .filter((s) => s.userName === user.name && !authSessionHasExpired(s, now))
+    .sort((a, b) => new Date(b.lastSeenAt).getTime() - new Date(a.lastSeenAt).getTime())
+    .map((s) => formatDeviceForClient(s, authSession.id));
+  sendJson(res, 200, { ok: true, devices });
+}
+
+async function handleRevokeDevice(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user, authSession } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.deviceId !== 'string') {
+    sendError(res, 400, 'Identifiant appareil manquant');
+    return;
+  }
+
+  const revoked = revokeAuthSessions((s) => s.id === payload.deviceId && s.userName === user.name);
+  if (revoked === 0) {
+    sendError(res, 404, 'Appareil introuvable');
+    return;
+  }
+
+  const isCurrent = payload.deviceId === authSession.id;
+  sendJson(res, 200, { ok: true, current: isCurrent }, isCurrent ? clearAuthCookieHeader() : {});
+}
+
+async function handleChangePassword(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user, authSession } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.currentPassword !== 'string') {
+    sendError(res, 400, 'Mot de passe actuel manquant');
+    return;
+  }
+
+  if (!validateNewPassword(payload.newPassword)) {
+    sendError(res, 400, 'Mot de passe invalide (6-64 caractères)');
+    return;
+  }
+
+  const { ok } = await verifyPassword(payload.currentPassword, user.passwordHash);
+  if (!ok) {
+    setTimeout(() => sendError(res, 403, 'Mot de passe actuel incorrect'), 250);
+    return;
+  }
+
+  const result = await replacePassword(user.name, payload.newPassword, authSession);
+  if (!result) {
+    sendError(res, 404, 'Utilisateur introuvable');
+    return;
+  }
+  debugLog(`Mot de passe modifié par ${user.name}`);
+  sendJson(res, 200, { ok: true, user: sanitizeUserForClient(result.user) }, setAuthCookieHeaders(result.token));
+}
+
+async function handleCreateResetCode(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAdmin(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  const users = storage.readUsers();
+  const target = payload && typeof payload.name === 'string' ? findUser(users, payload.name) : null;
+  if (!target) {
+    sendError(res, 404, 'Utilisateur introuvable');
+    return;
+  }
+
+  // Un seul code valide par utilisateur : le précédent est remplacé
+  const now = new Date();
+  const code = generateResetCode();
+  const resetCodes = storage.readResetCodes()
+    .filter((entry) => entry.userName !== target.name && new Date(entry.expiresAt).getTime() > now.getTime());
+  const expiresAt = new Date(now.getTime() + RESET_CODE_TTL_MS).toISOString();
+  resetCodes.push({
+    id: crypto.randomUUID(),
+    codeHash: hashResetCode(code),
+    userName: target.name,
+    createdBy: user.name,
+    createdAt: now.toISOString(),
+    expiresAt
+  });
+  storage.writeResetCodes(resetCodes);
+
+  recordAdminAction(user, 'createResetCode', target.name, { expiresAt });
+  sendJson(res, 200, { ok: true, name: target.name, code, expiresAt });
+}
+
+async function handleResetPassword(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.name !== 'string' || typeof payload.code !== 'string') {
+    sendError(res, 400, 'Nom ou code manquant');
+    return;
+  }
+
+  if (!validateNewPassword(payload.newPassword)) {
+    sendError(res, 400, 'Mot de passe invalide (6-64 caractères)');
+    return;
+  }
+
+  if (!checkSigninLockout(req, res, payload.name)) return;
+
+  const now = new Date();
+  const codeHash = hashResetCode(payload.code);
+  const normalized = payload.name.trim().toLowerCase();
+  const resetCodes = storage.readResetCodes();
+  const entry = resetCodes.find((candidate) =>
+    candidate.codeHash === codeHash &&
+    candidate.userName.toLowerCase() === normalized &&
+    new Date(candidate.expiresAt).getTime() > now.getTime()
+  );
+  if (!entry) {
+    recordSigninFailure(req, payload.name);
+    setTimeout(() => sendError(res, 401, 'Code invalide ou expiré'), 250);
+    return;
+  }
+  signinAccountLockouts.reset(`account:${normalized}`);
+
+  // Usage unique : le code est consommé avant le changement de mot de passe
+  storage.writeResetCodes(resetCodes.filter((candidate) => candidate.id !== entry.id));
+
+  const result = await replacePassword(entry.userName, payload.newPassword);
+  if (!result) {
+    sendError(res, 404, 'Utilisateur introuvable');
+    return;
+  }
+
+  debugLog(`Mot de passe réinitialisé pour ${result.user.name}`);
+  const { token } = createAuthSession(req, result.user);
+  sendJson(res, 200, { ok: true, user: sanitizeUserForClient(result.user) }, setAuthCookieHeaders(token));
+}
+
+function handleListInvites(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  const invites = storage.readInvites()
+    .filter((invite) => invite.createdBy === user.name)
+    .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+    .map(formatInviteForClient);
+  sendJson(res, 200, { ok: true, invites });
+}
+
+async function handleCreateInvite(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  const maxUses = payload && payload.maxUses !== undefined ? Number(payload.maxUses) : 1;
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+    sendError(res, 400, `Nombre d'utilisations invalide (1-${MAX_INVITE_USES})`);
+    return;
+  }
+
+  const ttlDays = payload && payload.expiresInDays !== undefined ? Number(payload.expiresInDays) : DEFAULT_INVITE_TTL_DAYS;
+  if (!Number.isInteger(ttlDays) || ttlDays < 1 || ttlDays > MAX_INVITE_TTL_DAYS) {
+    sendError(res, 400, `Durée de validité invalide (1-${MAX_INVITE_TTL_DAYS} jours)`);
+    return;
+  }
+
+  // Les invitations expirées sont supprimées ; celles épuisées restent visibles jusqu'à expiration
+  const now = new Date();
+  const invites = storage.readInvites().filter((invite) => new Date(invite.expiresAt).getTime() > now.getTime());
+  if (invites.filter((invite) => invite.createdBy === user.name && inviteIsUsable(invite, now)).length >= MAX_INVITES_PER_USER) {
+    sendError(res, 400, `Limite d'invitations actives atteinte (${MAX_INVITES_PER_USER} maximum)`);
+    return;
+  }
+
+  let code = generateReadableCode(INVITE_CODE_LENGTH);
+  while (invites.some((invite) => invite.code === code)) {
+    code = generateReadableCode(INVITE_CODE_LENGTH);
+  }
+
+  const invite = {
+    code,
+    createdBy: user.name,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlDays * 24 * 60 * 60 * 1000).toISOString(),
+    maxUses,
+    uses: 0,
+    usedBy: []
+  };
+  invites.push(invite);
+  storage.writeInvites(invites);
+
+  debugLog(`Invitation ${code} créée par ${user.name} (${maxUses} utilisation(s), ${ttlDays} j)`);
+  sendJson(res, 200, { ok: true, invite: formatInviteForClient(invite) });
+}
+
+async function handleDeleteInvite(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  const code = normalizeInviteCode(payload && payload.code);
+  const invites = storage.readInvites();
+  const invite = invites.find((candidate) => candidate.code === code);
+  if (!invite || invite.createdBy !== user.name) {
+    sendError(res, 404, 'Invitation introuvable');
+    return;
+  }
+
+  storage.writeInvites(invites.filter((candidate) => candidate !== invite));
+  sendJson(res, 200, { ok: true });
+}
+
+function requireAuth(req, res) {
+  try {
+    const users = storage.readUsers();
+    const auth = authenticateRequest(req, users);
+    if (!auth) {
+      sendError(res, 401, 'Authentification requise');
+      return null;
+    }
+    // Limite par compte sur les actions (en plus de la limite par IP)
+    if (req.method === 'POST' && !checkRateLimit(res, postUserLimiter, `user:${auth.user.normalized}`)) {
+      return null;
+    }
+    return auth;
+  } catch (err) {
+    sendError(res, 500, 'Erreur serveur');
+    return null;
+  }
+}
+
+function requireAdmin(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return null;
+  if (!isAdmin(auth.user)) {
+    sendError(res, 403, 'Réservé aux administrateurs');
+    return null;
+  }
+  return auth;
+}
+
+function respondWithSessions(res) {
+  const sessions = [...storage.readSessions()]
+    .sort((a, b) => {
+      const dateA = new Date(a.datetime);
+      const dateB = new Date(b.datetime);
+      return dateA.getTime() - dateB.getTime();
+    })
+    .map(formatSessionForClient);
+  const validUsernames = storage.readUsers().map((u) => u.name);
+  const clubs = storage.readClubs().map(formatClubForClient);
+  sendJson(res, 200, { ok: true, sessions, clubs, validUsernames });
+}
+
+function handleListSessions(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+
+  purgeExpiredSessions();
   respondWithSessions(res);
 }
 
-async function handleCreateSession(req, res) {
+function handleLiveEvents(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+
+  const { user, authSession } = auth;
+  if (liveUpdates.count((client) => client.userName === user.normalized) >= MAX_LIVE_STREAMS_PER_USER) {
+    sendError(res, 429, 'Trop de connexions simultanées');
+    return;
+  }
+  liveUpdates.open(req, res, { userName: user.normalized, authSessionId: authSession.id });
+}
+
+function handleListHistory(req, res, searchParams) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+
+  purgeExpiredSessions();
+
+  const offset = parseInt(searchParams.get('offset'), 10) || 0;
+  const limit = parseInt(searchParams.get('limit'), 10) || HISTORY_PAGE_SIZE;
+  if (offset < 0 || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+    sendError(res, 400, 'Pagination invalide');
+    return;
+  }
+
+  // Les sessions les plus récentes en premier
+  const history = [...storage.readHistory()].sort((a, b) => {
+    const dateA = new Date(a.datetime);
+    const dateB = new Date(b.datetime);
+    return dateB.getTime() - dateA.getTime();
+  });
+  const page = history.slice(offset, offset + limit).map(formatArchivedSessionForClient);
+
+  sendJson(res, 200, {
+    ok: true,
+    sessions: page,
+    total: history.length,
+    hasMore: offset + page.length < history.length
+  });
+}
+
+async function handleCreateSession(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  const { datetime } = payload || {};
+
+  if (typeof datetime !== 'string') {
+    sendError(res, 400, 'Date/heure invalide');
+    return;
+  }
+
+  const parsedDate = new Date(datetime);
+  if (Number.isNaN(parsedDate.getTime())) {
+    sendError(res, 400, 'Date/heure invalide');
+    return;
+  }
+
+  const now = Date.now();
+  if (parsedDate.getTime() < now - 5 * 60 * 1000) {
+    sendError(res, 400, 'La session doit être dans le futur');
+    return;
+  }
+
+  const validation = validateSessionFields(payload);
+  if (validation.error) {
+    sendError(res, 400, validation.error);
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  if (sessions.length >= MAX_SESSIONS) {
+    sendError(res, 400, `Limite de sessions atteinte (${MAX_SESSIONS} maximum)`);
+    return;
+  }
+
+  const session = createSessionRecord(validation.fields, parsedDate, user.name);
+  sessions.push(session);
+  saveSessions(sessions);
+
+  // Envoyer les notifications push
+  notifications.sendNewSessionNotification(session).catch((err) => {
+    debugError('Erreur lors de l\'envoi des notifications push:', err);
+  });
+
+  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+}
+
+async function handleDeleteSession(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const index = sessions.findIndex((session) => session.id === payload.sessionId);
+  if (index === -1) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  const session = sessions[index];
+  const isOrganizer = session.organizer === user.name;
+
+  if (!isOrganizer && !isAdmin(user)) {
+    sendError(res, 403, 'Seul l\'organisateur peut supprimer la session');
+    return;
+  }
+
+  // Avec des participants, l'organisateur doit annuler (les inscrits sont prévenus) ;
+  // un administrateur garde la suppression forcée pour la modération
+  if (isOrganizer && session.participants.length > 0) {
+    sendError(res, 409, 'Des joueurs sont inscrits : annulez la session plutôt que de la supprimer');
+    return;
+  }
+
+  sessions.splice(index, 1);
+  saveSessions(sessions);
+
+  if (!isOrganizer) {
+    recordAdminAction(user, 'deleteSession', session.id, { organizer: session.organizer, club: session.club, datetime: session.datetime });
+  }
+
+  sendJson(res, 200, { ok: true });
+}
+
+async function handleCancelSession(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  const reason = typeof payload.reason === 'string' ? payload.reason.trim() : '';
+  if (reason.length > MAX_CANCEL_REASON_LENGTH) {
+    sendError(res, 400, `Le motif ne peut pas dépasser ${MAX_CANCEL_REASON_LENGTH} caractères`);
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const session = sessions.find((s) => s.id === payload.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  const isOrganizer = session.organizer === user.name;
+  if (!isOrganizer && !isAdmin(user)) {
+    sendError(res, 403, 'Seul l\'organisateur peut annuler la session');
+    return;
+  }
+
+  if (sessionHasStarted(session)) {
+    sendError(res, 400, 'La session est déjà commencée');
+    return;
+  }
+
+  if (sessionIsCancelled(session)) {
+    sendError(res, 400, 'La session est déjà annulée');
+    return;
+  }
+
+  markSessionCancelled(session, user.name, reason);
+  saveSessions(sessions);
+
+  if (!isOrganizer) {
+    recordAdminAction(user, 'cancelSession', session.id, { organizer: session.organizer, club: session.club, datetime: session.datetime });
+  }
+
+  notifications.sendSessionCancelledNotification(session, user.name).catch((err) => {
+    debugError('Erreur lors de l\'envoi des notifications d\'annulation:', err);
+  });
+
+  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+}
+
+// La session reste visible (annulée) jusqu'à son heure de début, puis est archivée
+function markSessionCancelled(session, cancelledBy, reason) {
+  session.cancelled = true;
+  session.cancelReason = reason || null;
+  session.cancelledAt = new Date().toISOString();
+  session.cancelledBy = cancelledBy;
+}
+
+async function handleJoinSession(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const session = sessions.find((s) => s.id === payload.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  if (sessionHasStarted(session)) {
+    sendError(res, 400, 'La session est déjà commencée');
+    return;
+  }
+
+  if (sessionIsCancelled(session)) {
+    sendError(res, 400, 'La session est annulée');
+    return;
+  }
+
+  if (session.organizer === user.name) {
+    sendError(res, 400, 'Organisateur déjà inscrit');
+    return;
+  }
+
+  if (session.participants.includes(user.name)) {
+    sendError(res, 400, 'Utilisateur déjà inscrit');
+    return;
+  }
+
+  if (!session.waitlist) {
+    session.waitlist = [];
+  }
+
+  if (session.waitlist.includes(user.name)) {
+    sendError(res, 400, 'Utilisateur déjà en liste d\'attente');
+    return;
+  }
+
+  // Des places ont pu se libérer sans que la file avance (capacité augmentée, participant retiré) :
+  // la file passe d'abord, puis le nouveau venu prend une place restante ou rejoint la file
+  const promoted = promoteFromWaitlist(session);
+  if (sessionIsFull(session)) {
+    session.waitlist.push(user.name);
+    saveSessions(sessions);
+    notifyWaitlistPromotions(session, promoted);
+    sendJson(res, 200, {
+      ok: true,
+      waitlistPosition: session.waitlist.length,
+      session: formatSessionForClient(session)
+    });
+    return;
+  }
+
+  session.participants.push(user.name);
+  saveSessions(sessions);
+  notifyWaitlistPromotions(session, promoted);
+
+  // Notifier l'organisateur
+  notifications.sendParticipantJoinedNotification(session, user.name).catch((err) => {
+    debugError('Erreur lors de l\'envoi de la notification à l\'organisateur:', err);
+  });
+
+  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+}
+
+async function handleLeaveSession(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const session = sessions.find((s) => s.id === payload.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  if (session.organizer === user.name) {
+    sendError(res, 400, 'L\'organisateur ne peut se désinscrire');
+    return;
+  }
+
+  // Quitter la liste d'attente
+  if ((session.waitlist || []).includes(user.name)) {
+    session.waitlist = session.waitlist.filter((name) => name !== user.name);
+    saveSessions(sessions);
+    sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+    return;
+  }
+
+  if (!session.participants.includes(user.name)) {
+    sendError(res, 400, 'Utilisateur non inscrit');
+    return;
+  }
+
+  if (sessionHasStarted(session)) {
+    sendError(res, 400, 'La session est déjà commencée');
+    return;
+  }
+
+  if (sessionIsCancelled(session)) {
+    sendError(res, 400, 'La session est annulée');
+    return;
+  }
+
+  // Vérifier si la session était pleine avant le départ
+  const wasSessionFull = sessionIsFull(session);
+
+  session.participants = session.participants.filter((name) => name !== user.name);
+  const promoted = promoteFromWaitlist(session);
+  saveSessions(sessions);
+
+  // Notifier l'organisateur et les followers du départ
+  notifications.sendParticipantLeftNotification(session, user.name).catch((err) => {
+    debugError('Erreur lors de l\'envoi de la notification de départ:', err);
+  });
+
+  notifyWaitlistPromotions(session, promoted);
+
+  // Si la session était pleine et qu'une place reste libre, notifier
+  if (wasSessionFull && !sessionIsFull(session)) {
+    notifications.sendSpotAvailableNotification(session).catch((err) => {
+      debugError('Erreur lors de l\'envoi des notifications push:', err);
+    });
+  }
+
+  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+}
+
+async function handleUpdateParticipants(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  if (!Array.isArray(payload.participants)) {
+    sendError(res, 400, 'Liste des participants invalide');
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const session = sessions.find((s) => s.id === payload.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  if (session.organizer !== user.name) {
+    sendError(res, 403, 'Seul l\'organisateur peut modifier les participants');
+    return;
+  }
+
+  if (sessionHasStarted(session)) {
+    sendError(res, 400, 'La session est déjà commencée');
+    return;
+  }
+
+  if (sessionIsCancelled(session)) {
+    sendError(res, 400, 'La session est annulée');
+    return;
+  }
+
+  // Valider et normaliser les noms des participants
+  const normalizedParticipants = [];
+  for (const name of payload.participants) {
+    if (typeof name !== 'string') {
+      sendError(res, 400, 'Nom de participant invalide');
+      return;
+    }
+    const trimmed = name.trim();
+    if (trimmed.length === 0 || trimmed.length > 20) {
+      sendError(res, 400, 'Nom de participant invalide (1-20 caractères)');
+      return;
+    }
+    if (!PARTICIPANT_NAME_PATTERN.test(trimmed)) {
+      sendError(res, 400, 'Nom de participant invalide (lettres, chiffres, espace, tiret, apostrophe ou point)');
+      return;
+    }
+    // Ne pas autoriser l'organisateur dans la liste des participants
+    if (trimmed.toLowerCase() === session.organizer.toLowerCase()) {
+      sendError(res, 400, 'L\'organisateur ne peut pas être ajouté comme participant');
+      return;
+    }
+    normalizedParticipants.push(trimmed);
+  }
+
+  // Vérifier la capacité (participants + organisateur)
+  if (normalizedParticipants.length + 1 > session.capacity) {
+    sendError(res, 400, 'Trop de participants pour la capacité de la session');
+    return;
+  }
+
+  // Vérifier si la session était pleine avant la modification
+  const wasSessionFull = sessionIsFull(session);
+
+  // Mettre à jour les participants (un joueur ajouté quitte la liste d'attente)
+  session.participants = normalizedParticipants;
+  session.waitlist = (session.waitlist || []).filter((name) => !normalizedParticipants.includes(name));
+  const promoted = promoteFromWaitlist(session);
+  saveSessions(sessions);
+
+  notifyWaitlistPromotions(session, promoted);
+
+  // Si la session était pleine et qu'une place reste libre, notifier
+  if (wasSessionFull && !sessionIsFull(session)) {
+    notifications.sendSpotAvailableNotification(session).catch((err) => {
+      debugError('Erreur lors de l\'envoi des notifications push:', err);
+    });
+  }
+
+  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+}
+
+async function handleFollowSession(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const session = sessions.find((s) => s.id === payload.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  if (sessionIsCancelled(session)) {
+    sendError(res, 400, 'La session est annulée');
+    return;
+  }
+
+  // L'organisateur ne peut pas suivre sa propre session
+  if (session.organizer === user.name) {
+    sendError(res, 400, 'L\'organisateur ne peut pas suivre sa propre session');
+    return;
+  }
+
+  // Initialiser le tableau followers si nécessaire
+  if (!session.followers) {
+    session.followers = [];
+  }
+
+  if (session.followers.includes(user.name)) {
+    sendError(res, 400, 'Vous suivez déjà cette session');
+    return;
+  }
+
+  session.followers.push(user.name);
+  saveSessions(sessions);
+
+  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+}
+
+async function handleUnfollowSession(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const session = sessions.find((s) => s.id === payload.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  if (!session.followers || !session.followers.includes(user.name)) {
+    sendError(res, 400, 'Vous ne suivez pas cette session');
+    return;
+  }
+
+  session.followers = session.followers.filter((name) => name !== user.name);
+  saveSessions(sessions);
+
+  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+}
+
+async function handleSendMessage(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const session = sessions.find((s) => s.id === payload.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  // Vérifier que la session n'a pas commencé
+  if (sessionHasStarted(session)) {
+    sendError(res, 400, 'La session est déjà commencée');
+    return;
+  }
+
+  if (sessionIsCancelled(session)) {
+    sendError(res, 400, 'La session est annulée');
+    return;
+  }
+
+  // Vérifier que l'utilisateur est organisateur, participant ou follower
+  const isOrganizer = session.organizer === user.name;
+  const isParticipant = session.participants.includes(user.name);
+  const isFollower = (session.followers || []).includes(user.name);
+  if (!isOrganizer && !isParticipant && !isFollower) {
+    sendError(res, 403, 'Vous devez être participant ou intéressé pour envoyer un message');
+    return;
+  }
+
+  // Valider le texte du message
+  if (!payload.text || typeof payload.text !== 'string') {
+    sendError(res, 400, 'Message manquant');
+    return;
+  }
+  const text = payload.text.trim();
+  if (text.length === 0) {
+    sendError(res, 400, 'Le message ne peut pas être vide');
+    return;
+  }
+  if (text.length > 500) {
+    sendError(res, 400, 'Le message ne peut pas dépasser 500 caractères');
+    return;
+  }
+
+  // Créer le message
+  const message = {
+    id: crypto.randomUUID(),
+    sender: user.name,
+    text: text,
+    timestamp: new Date().toISOString()
+  };
+
+  // Initialiser le tableau messages si nécessaire
+  if (!session.messages) {
+    session.messages = [];
+  }
+
+  // Ajouter le message et limiter à MAX_MESSAGES_PER_SESSION
+  session.messages.push(message);
+  if (session.messages.length > MAX_MESSAGES_PER_SESSION) {
+    session.messages = session.messages.slice(-MAX_MESSAGES_PER_SESSION);
+  }
+
+  saveSessions(sessions);
+
+  // Envoyer les notifications push (async)
+  notifications.sendChatMessageNotification(session, message).catch((err) => {
+    debugError('Erreur lors de l\'envoi des notifications de chat:', err);
+  });
+
+  sendJson(res, 200, { ok: true, message, session: formatSessionForClient(session) });
+}
+
+async function handleEditSession(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
@@ -364,7 +2410,35 @@ async function handleCreateSession(req, res) {
     return;
   }
 
-  const { datetime, durationMinutes, club, level, capacity, pricePerParticipant } = payload || {};
+  if (!payload || typeof payload.sessionId !== 'string') {
+    sendError(res, 400, 'Identifiant session manquant');
+    return;
+  }
+
+  const sessions = storage.readSessions();
+  const session = sessions.find((s) => s.id === payload.sessionId);
+  if (!session) {
+    sendError(res, 404, 'Session introuvable');
+    return;
+  }
+
+  const isOrganizer = session.organizer === user.name;
+  if (!isOrganizer && !isAdmin(user)) {
+    sendError(res, 403, 'Seul l\'organisateur peut modifier la session');
+    return;
+  }
+
+  if (sessionHasStarted(session)) {
+    sendError(res, 400, 'La session est déjà commencée');
+    return;
+  }
+
+  if (sessionIsCancelled(session)) {
+    sendError(res, 400, 'La session est annulée');
+    return;
+  }
+
+  const { datetime } = payload;
 
   if (typeof datetime !== 'string') {
     sendError(res, 400, 'Date/heure invalide');
@@ -383,77 +2457,130 @@ async function handleCreateSession(req, res) {
     return;
   }
 
-  const duration = Number(durationMinutes);
-  if (!Number.isFinite(duration) || duration <= 0 || duration > 300) {
-    sendError(res, 400, 'Durée invalide');
+  const validation = validateSessionFields(payload);
+  if (validation.error) {
+    sendError(res, 400, validation.error);
     return;
   }
+  const fields = validation.fields;
 
-  const clubs = storage.readClubs();
-  const normalizedClub = typeof club === 'string' ? club.trim() : '';
-  if (!normalizedClub) {
-    sendError(res, 400, 'Club invalide');
+  // Vérifier que la nouvelle capacité est suffisante pour les participants actuels
+  const currentTotal = session.participants.length + 1;
+  if (fields.capacity < currentTotal) {
+    sendError(res, 400, `La capacité ne peut être inférieure au nombre actuel de participants (${currentTotal})`);
     return;
   }
-  if (clubs.length && !clubs.includes(normalizedClub)) {
-    sendError(res, 400, 'Club inconnu');
+
+  // Mettre à jour la session
+  const before = { ...session };
+  session.datetime = parsedDate.toISOString();
+  Object.assign(session, fields);
+  const changes = logSessionChanges(session, before, user.name);
+
+  // Une capacité augmentée libère des places pour la liste d'attente
+  const promoted = promoteFromWaitlist(session);
+  saveSessions(sessions);
+
+  if (!isOrganizer) {
+    recordAdminAction(user, 'editSession', session.id, { organizer: session.organizer, club: session.club, datetime: session.datetime });
+  }
+
+  notifySessionChanges(session, changes, user.name);
+  notifyWaitlistPromotions(session, promoted);
+
+  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+}
+
+function handleListTemplates(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  const templates = storage.readTemplates()
+    .filter((template) => template.organizer === user.name)
+    .map(formatTemplateForClient);
+  sendJson(res, 200, { ok: true, templates });
+}
+
+async function handleCreateTemplate(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
 
-  const allowedLevels = ['débutant', 'moyen', 'confirmé'];
-  const normalizedLevel = typeof level === 'string' ? level.trim() : '';
-  if (!normalizedLevel || !allowedLevels.includes(normalizedLevel)) {
-    sendError(res, 400, 'Niveau invalide');
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
     return;
   }
 
-  const normalizedCapacity = Number(capacity);
-  if (!Number.isInteger(normalizedCapacity) || normalizedCapacity < 1 || normalizedCapacity > 12) {
-    sendError(res, 400, 'Capacité invalide');
+  const scheduleValidation = validateTemplateSchedule(payload);
+  if (scheduleValidation.error) {
+    sendError(res, 400, scheduleValidation.error);
     return;
   }
 
-  const price = Number(pricePerParticipant);
-  if (!Number.isFinite(price) || price < 0) {
-    sendError(res, 400, 'Prix invalide');
+  const validation = validateSessionFields(payload);
+  if (validation.error) {
+    sendError(res, 400, validation.error);
     return;
   }
-  const roundedPrice = Math.round(price * 100) / 100;
 
-  const sessions = storage.readSessions();
-  if (sessions.length >= MAX_SESSIONS) {
-    sendError(res, 400, `Limite de sessions atteinte (${MAX_SESSIONS} maximum)`);
+  const templates = storage.readTemplates();
+  if (templates.filter((t) => t.organizer === user.name).length >= MAX_TEMPLATES_PER_USER) {
+    sendError(res, 400, `Limite de sessions récurrentes atteinte (${MAX_TEMPLATES_PER_USER} maximum)`);
     return;
   }
 
-  const session = {
+  const now = new Date().toISOString();
+  const template = {
     id: crypto.randomUUID(),
-    datetime: parsedDate.toISOString(),
-    durationMinutes: duration,
-    club: normalizedClub,
-    level: normalizedLevel,
-    capacity: normalizedCapacity,
-    pricePerParticipant: roundedPrice,
     organizer: user.name,
-    participants: [],
-    followers: [],
-    messages: [],
-    createdAt: new Date().toISOString(),
-    reminderSent: false
+    ...scheduleValidation.schedule,
+    ...validation.fields,
+    paused: false,
+    skipDates: [],
+    generatedDates: [],
+    createdAt: now,
+    updatedAt: now
   };
 
-  sessions.push(session);
-  storage.writeSessions(sessions);
+  templates.push(template);
+  storage.writeTemplates(templates);
 
-  // Envoyer les notifications push
-  notifications.sendNewSessionNotification(session).catch((err) => {
-    debugError('Erreur lors de l\'envoi des notifications push:', err);
+  const created = generateRecurringSessions();
+
+  sendJson(res, 200, {
+    ok: true,
+    template: formatTemplateForClient(template),
+    sessions: created.map(formatSessionForClient)
   });
+}
 
-  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+// Charger un modèle dont l'utilisateur est l'organisateur
+function findOwnTemplate(res, templates, payload, user) {
+  if (!payload || typeof payload.templateId !== 'string') {
+    sendError(res, 400, 'Identifiant de session récurrente manquant');
+    return null;
+  }
+  const template = templates.find((t) => t.id === payload.templateId);
+  if (!template) {
+    sendError(res, 404, 'Session récurrente introuvable');
+    return null;
+  }
+  if (template.organizer !== user.name) {
+    sendError(res, 403, 'Seul l\'organisateur peut modifier la session récurrente');
+    return null;
+  }
+  return template;
 }
 
-async function handleDeleteSession(req, res) {
+async function handleEditTemplate(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
@@ -470,33 +2597,94 @@ async function handleDeleteSession(req, res) {
     return;
   }
 
-  if (!payload || typeof payload.sessionId !== 'string') {
-    sendError(res, 400, 'Identifiant session manquant');
+  const templates = storage.readTemplates();
+  const template = findOwnTemplate(res, templates, payload, user);
+  if (!template) return;
+
+  const scheduleValidation = validateTemplateSchedule(payload);
+  if (scheduleValidation.error) {
+    sendError(res, 400, scheduleValidation.error);
+    return;
+  }
+
+  const validation = validateSessionFields(payload);
+  if (validation.error) {
+    sendError(res, 400, validation.error);
     return;
   }
 
+  const previousWeekday = template.weekday;
+  Object.assign(template, scheduleValidation.schedule, validation.fields);
+  template.updatedAt = new Date().toISOString();
+
+  // Les dates sautées suivent le nouveau jour de la semaine
+  if (template.weekday !== previousWeekday) {
+    template.skipDates = (template.skipDates || [])
+      .map((date) => shiftDateKey(date, template.weekday - previousWeekday));
+  }
+
+  let updated = [];
   const sessions = storage.readSessions();
-  const index = sessions.findIndex((session) => session.id === payload.sessionId);
-  if (index === -1) {
-    sendError(res, 404, 'Session introuvable');
+  if (payload.applyToFutureSessions === true) {
+    updated = applyTemplateToFutureSessions(template, previousWeekday, sessions);
+  }
+
+  storage.writeTemplates(templates);
+  if (updated.length > 0) {
+    saveSessions(sessions);
+    for (const { session, changes, promoted } of updated) {
+      notifySessionChanges(session, changes, template.organizer);
+      notifyWaitlistPromotions(session, promoted);
+    }
+  }
+
+  generateRecurringSessions();
+
+  sendJson(res, 200, {
+    ok: true,
+    template: formatTemplateForClient(template),
+    updatedSessions: updated.length
+  });
+}
+
+async function handlePauseTemplate(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
 
-  const session = sessions[index];
-  const isOrganizer = session.organizer === user.name;
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
 
-  if (!isOrganizer) {
-    sendError(res, 403, 'Seul l\'organisateur peut supprimer la session');
+  const templates = storage.readTemplates();
+  const template = findOwnTemplate(res, templates, payload, user);
+  if (!template) return;
+
+  if (typeof payload.paused !== 'boolean') {
+    sendError(res, 400, 'Paramètre "paused" invalide');
     return;
   }
 
-  sessions.splice(index, 1);
-  storage.writeSessions(sessions);
+  template.paused = payload.paused;
+  template.updatedAt = new Date().toISOString();
+  storage.writeTemplates(templates);
 
-  sendJson(res, 200, { ok: true });
+  if (!template.paused) {
+    generateRecurringSessions();
+  }
+
+  sendJson(res, 200, { ok: true, template: formatTemplateForClient(template) });
 }
 
-async function handleJoinSession(req, res) {
+async function handleSkipTemplateDate(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
@@ -513,55 +2701,189 @@ async function handleJoinSession(req, res) {
     return;
   }
 
-  if (!payload || typeof payload.sessionId !== 'string') {
-    sendError(res, 400, 'Identifiant session manquant');
+  const templates = storage.readTemplates();
+  const template = findOwnTemplate(res, templates, payload, user);
+  if (!template) return;
+
+  if (!isValidDateKey(payload.date) || payload.date < formatLocalDateKey(new Date())) {
+    sendError(res, 400, 'Date invalide');
     return;
   }
+  const date = payload.date;
+  const skip = payload.skip !== false;
 
-  const sessions = storage.readSessions();
-  const session = sessions.find((s) => s.id === payload.sessionId);
-  if (!session) {
-    sendError(res, 404, 'Session introuvable');
+  template.skipDates = (template.skipDates || []).filter((d) => d !== date);
+  let keptSession = false;
+
+  if (skip) {
+    template.skipDates.push(date);
+    template.skipDates.sort();
+
+    // Retirer la session déjà créée pour cette date tant que personne ne s'y est inscrit
+    const sessions = storage.readSessions();
+    const index = sessions.findIndex((s) => s.templateId === template.id && s.occurrenceDate === date);
+    if (index !== -1) {
+      const session = sessions[index];
+      if (session.participants.length === 0 && (session.waitlist || []).length === 0) {
+        sessions.splice(index, 1);
+        saveSessions(sessions);
+      } else {
+        keptSession = true;
+      }
+    }
+  } else {
+    // Permettre de recréer la session de cette date
+    template.generatedDates = (template.generatedDates || []).filter((d) => d !== date);
+  }
+
+  template.updatedAt = new Date().toISOString();
+  storage.writeTemplates(templates);
+
+  if (!skip) {
+    generateRecurringSessions();
+  }
+
+  sendJson(res, 200, { ok: true, template: formatTemplateForClient(template), keptSession });
+}
+
+async function handleDeleteTemplate(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
 
-  if (sessionHasStarted(session)) {
-    sendError(res, 400, 'La session est déjà commencée');
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
     return;
   }
 
-  if (session.organizer === user.name) {
-    sendError(res, 400, 'Organisateur déjà inscrit');
+  const templates = storage.readTemplates();
+  const template = findOwnTemplate(res, templates, payload, user);
+  if (!template) return;
+
+  // Les sessions déjà créées sont conservées
+  storage.writeTemplates(templates.filter((t) => t !== template));
+
+  sendJson(res, 200, { ok: true });
+}
+
+function handleListClubs(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+
+  sendJson(res, 200, { ok: true, clubs: storage.readClubs().map(formatClubForClient) });
+}
+
+async function handleCreateClub(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
+  const auth = requireAdmin(req, res);
+  if (!auth) return;
+  const { user } = auth;
 
-  if (session.participants.includes(user.name)) {
-    sendError(res, 400, 'Utilisateur déjà inscrit');
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
     return;
   }
 
-  if (session.participants.length + 1 >= session.capacity) {
-    sendError(res, 400, 'Session complète');
+  const clubs = storage.readClubs();
+  const validation = validateClubPayload(payload, clubs);
+  if (validation.error) {
+    sendError(res, 400, validation.error);
     return;
   }
 
-  session.participants.push(user.name);
-  storage.writeSessions(sessions);
+  const now = new Date().toISOString();
+  const club = {
+    id: crypto.randomUUID(),
+    ...validation.club,
+    createdAt: now,
+    updatedAt: now
+  };
+  clubs.push(club);
+  storage.writeClubs(clubs);
+  recordAdminAction(user, 'createClub', club.name);
 
-  // Notifier l'organisateur
-  notifications.sendParticipantJoinedNotification(session, user.name).catch((err) => {
-    debugError('Erreur lors de l\'envoi de la notification à l\'organisateur:', err);
-  });
+  sendJson(res, 200, { ok: true, club: formatClubForClient(club) });
+}
 
-  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+async function handleEditClub(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
+    return;
+  }
+  const auth = requireAdmin(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
+    return;
+  }
+
+  if (!payload || typeof payload.clubId !== 'string') {
+    sendError(res, 400, 'Identifiant club manquant');
+    return;
+  }
+
+  const clubs = storage.readClubs();
+  const club = clubs.find((c) => c.id === payload.clubId);
+  if (!club) {
+    sendError(res, 404, 'Club introuvable');
+    return;
+  }
+
+  const validation = validateClubPayload(payload, clubs, club);
+  if (validation.error) {
+    sendError(res, 400, validation.error);
+    return;
+  }
+
+  const previousName = club.name;
+  Object.assign(club, validation.club, { updatedAt: new Date().toISOString() });
+  storage.writeClubs(clubs);
+  recordAdminAction(user, 'editClub', club.name, club.name !== previousName ? { previousName } : {});
+
+  // Reporter un changement de nom sur les sessions et modèles qui référencent le club
+  if (club.name !== previousName) {
+    const rename = (record) => {
+      if (record.clubId !== club.id) return false;
+      record.club = club.name;
+      return true;
+    };
+    const sessions = storage.readSessions();
+    if (sessions.filter(rename).length > 0) {
+      saveSessions(sessions);
+    }
+    const templates = storage.readTemplates();
+    if (templates.filter(rename).length > 0) {
+      storage.writeTemplates(templates);
+    }
+  }
+
+  sendJson(res, 200, { ok: true, club: formatClubForClient(club) });
 }
 
-async function handleLeaveSession(req, res) {
+async function handleDeleteClub(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
-  const auth = requireAuth(req, res);
+  const auth = requireAdmin(req, res);
   if (!auth) return;
   const { user } = auth;
 
@@ -573,61 +2895,103 @@ async function handleLeaveSession(req, res) {
     return;
   }
 
-  if (!payload || typeof payload.sessionId !== 'string') {
-    sendError(res, 400, 'Identifiant session manquant');
+  if (!payload || typeof payload.clubId !== 'string') {
+    sendError(res, 400, 'Identifiant club manquant');
     return;
   }
 
-  const sessions = storage.readSessions();
-  const session = sessions.find((s) => s.id === payload.sessionId);
-  if (!session) {
-    sendError(res, 404, 'Session introuvable');
+  const clubs = storage.readClubs();
+  const club = clubs.find((c) => c.id === payload.clubId);
+  if (!club) {
+    sendError(res, 404, 'Club introuvable');
     return;
   }
 
-  if (session.organizer === user.name) {
-    sendError(res, 400, 'L\'organisateur ne peut se désinscrire');
+  const inUse = storage.readSessions().some((s) => s.clubId === club.id)
+    || storage.readTemplates().some((t) => t.clubId === club.id);
+  if (inUse) {
+    sendError(res, 409, 'Club utilisé par des sessions à venir ou récurrentes');
     return;
   }
 
-  if (!session.participants.includes(user.name)) {
-    sendError(res, 400, 'Utilisateur non inscrit');
-    return;
-  }
+  storage.writeClubs(clubs.filter((c) => c !== club));
+  recordAdminAction(user, 'deleteClub', club.name);
 
-  if (sessionHasStarted(session)) {
-    sendError(res, 400, 'La session est déjà commencée');
-    return;
-  }
+  sendJson(res, 200, { ok: true });
+}
 
-  // Vérifier si la session était pleine avant le départ
-  const totalBeforeLeaving = session.participants.length + 1; // +1 pour l'organisateur
-  const wasSessionFull = totalBeforeLeaving >= session.capacity;
+function formatUserForAdmin(user, authSessions) {
+  const devices = authSessions.filter((s) => s.userName === user.name);
+  const lastSeenAt = devices.reduce((latest, s) => (!latest || s.lastSeenAt > latest ? s.lastSeenAt : latest), null);
+  return {
+    name: user.name,
+    isAdmin: isAdmin(user),
+    configuredAdmin: ADMIN_USERS.includes(user.normalized),
+    createdAt: user.createdAt || null,
+    invitedBy: user.invitedBy || null,
+    deviceCount: devices.length,
+    pushSubscriptionCount: (user.pushSubscriptions || []).length,
+    lastSeenAt
+  };
+}
 
-  session.participants = session.participants.filter((name) => name !== user.name);
-  storage.writeSessions(sessions);
+function handleAdminListUsers(req, res) {
+  const auth = requireAdmin(req, res);
+  if (!auth) return;
 
-  // Notifier l'organisateur et les followers du départ
-  notifications.sendParticipantLeftNotification(session, user.name).catch((err) => {
-    debugError('Erreur lors de l\'envoi de la notification de départ:', err);
-  });
+  const authSessions = storage.readAuthSessions();
+  const users = [...storage.readUsers()]
+    .sort((a, b) => a.normalized.localeCompare(b.normalized))
+    .map((user) => formatUserForAdmin(user, authSessions));
+  sendJson(res, 200, { ok: true, users });
+}
 
-  // Si la session était pleine et qu'une place vient de se libérer, notifier
-  if (wasSessionFull) {
-    notifications.sendSpotAvailableNotification(session).catch((err) => {
-      debugError('Erreur lors de l\'envoi des notifications push:', err);
+// Retirer un compte de toutes les sessions à venir ; ses propres sessions et modèles sont supprimés
+// Les sessions à venir du compte supprimé passent par l'annulation (joueurs prévenus,
+// archivage à l'heure de début) ; celles déjà commencées ou annulées suivent leur cours
+function removeUserFromSessions(userName, admin) {
+  const sessions = storage.readSessions();
+  const promotions = [];
+  const cancelled = [];
+  for (const session of sessions) {
+    if (session.organizer === userName) {
+      if (!sessionHasStarted(session) && !sessionIsCancelled(session)) {
+        markSessionCancelled(session, admin.name, 'Compte de l\'organisateur supprimé');
+        cancelled.push(session);
+      }
+      continue;
+    }
+    const wasParticipant = session.participants.includes(userName);
+    session.participants = session.participants.filter((name) => name !== userName);
+    session.waitlist = (session.waitlist || []).filter((name) => name !== userName);
+    session.followers = (session.followers || []).filter((name) => name !== userName);
+    if (wasParticipant) {
+      promotions.push({ session, promoted: promoteFromWaitlist(session) });
+    }
+  }
+  saveSessions(sessions);
+  promotions.forEach(({ session, promoted }) => notifyWaitlistPromotions(session, promoted));
+  for (const session of cancelled) {
+    notifications.sendSessionCancelledNotification(session, admin.name).catch((err) => {
+      debugError('Erreur lors de l\'envoi des notifications d\'annulation:', err);
     });
   }
 
-  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+  const templates = storage.readTemplates();
+  const keptTemplates = templates.filter((template) => template.organizer !== userName);
+  if (keptTemplates.length !== templates.length) {
+    storage.writeTemplates(keptTemplates);
+  }
+
+  return { cancelledSessions: cancelled.length, removedTemplates: templates.length - keptTemplates.length };
 }
 
-async function handleUpdateParticipants(req, res) {
+async function handleAdminDeleteUser(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
-  const auth = requireAuth(req, res);
+  const auth = requireAdmin(req, res);
   if (!auth) return;
   const { user } = auth;
 
@@ -639,84 +3003,34 @@ async function handleUpdateParticipants(req, res) {
     return;
   }
 
-  if (!payload || typeof payload.sessionId !== 'string') {
-    sendError(res, 400, 'Identifiant session manquant');
-    return;
-  }
-
-  if (!Array.isArray(payload.participants)) {
-    sendError(res, 400, 'Liste des participants invalide');
-    return;
-  }
-
-  const sessions = storage.readSessions();
-  const session = sessions.find((s) => s.id === payload.sessionId);
-  if (!session) {
-    sendError(res, 404, 'Session introuvable');
-    return;
-  }
-
-  if (session.organizer !== user.name) {
-    sendError(res, 403, 'Seul l\'organisateur peut modifier les participants');
-    return;
-  }
-
-  if (sessionHasStarted(session)) {
-    sendError(res, 400, 'La session est déjà commencée');
+  const users = storage.readUsers();
+  const target = payload && typeof payload.name === 'string' ? findUser(users, payload.name) : null;
+  if (!target) {
+    sendError(res, 404, 'Utilisateur introuvable');
     return;
   }
-
-  // Valider et normaliser les noms des participants
-  const normalizedParticipants = [];
-  for (const name of payload.participants) {
-    if (typeof name !== 'string') {
-      sendError(res, 400, 'Nom de participant invalide');
-      return;
-    }
-    const trimmed = name.trim();
-    if (trimmed.length === 0 || trimmed.length > 20) {
-      sendError(res, 400, 'Nom de participant invalide (1-20 caractères)');
-      return;
-    }
-    // Ne pas autoriser l'organisateur dans la liste des participants
-    if (trimmed.toLowerCase() === session.organizer.toLowerCase()) {
-      sendError(res, 400, 'L\'organisateur ne peut pas être ajouté comme participant');
-      return;
-    }
-    normalizedParticipants.push(trimmed);
-  }
-
-  // Vérifier la capacité (participants + organisateur)
-  if (normalizedParticipants.length + 1 > session.capacity) {
-    sendError(res, 400, 'Trop de participants pour la capacité de la session');
+  if (target === user) {
+    sendError(res, 400, 'Vous ne pouvez pas supprimer votre propre compte');
     return;
   }
 
-  // Vérifier si la session était pleine avant la modification
-  const totalBefore = session.participants.length + 1;
-  const wasSessionFull = totalBefore >= session.capacity;
-
-  // Mettre à jour les participants
-  session.participants = normalizedParticipants;
-  storage.writeSessions(sessions);
-
-  // Si la session était pleine et qu'une place vient de se libérer, notifier
-  const totalAfter = normalizedParticipants.length + 1;
-  if (wasSessionFull && totalAfter < session.capacity) {
-    notifications.sendSpotAvailableNotification(session).catch((err) => {
-      debugError('Erreur lors de l\'envoi des notifications push:', err);
-    });
-  }
+  storage.writeUsers(users.filter((u) => u !== target));
+  const devices = revokeAuthSessions((s) => s.userName === target.name);
+  storage.writeResetCodes(storage.readResetCodes().filter((entry) => entry.userName !== target.name));
+  storage.writeInbox(storage.readInbox().filter((entry) => entry.userName !== target.name));
+  storage.writeInvites(storage.readInvites().filter((invite) => invite.createdBy !== target.name || invite.uses > 0));
+  const { cancelledSessions, removedTemplates } = removeUserFromSessions(target.name, user);
 
-  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+  recordAdminAction(user, 'deleteUser', target.name, { devices, cancelledSessions, removedTemplates });
+  sendJson(res, 200, { ok: true, cancelledSessions, removedTemplates });
 }
 
-async function handleFollowSession(req, res) {
+async function handleAdminSetAdmin(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
-  const auth = requireAuth(req, res);
+  const auth = requireAdmin(req, res);
   if (!auth) return;
   const { user } = auth;
 
@@ -728,46 +3042,39 @@ async function handleFollowSession(req, res) {
     return;
   }
 
-  if (!payload || typeof payload.sessionId !== 'string') {
-    sendError(res, 400, 'Identifiant session manquant');
+  if (!payload || typeof payload.name !== 'string' || typeof payload.isAdmin !== 'boolean') {
+    sendError(res, 400, 'Paramètres invalides');
     return;
   }
 
-  const sessions = storage.readSessions();
-  const session = sessions.find((s) => s.id === payload.sessionId);
-  if (!session) {
-    sendError(res, 404, 'Session introuvable');
+  const users = storage.readUsers();
+  const target = findUser(users, payload.name);
+  if (!target) {
+    sendError(res, 404, 'Utilisateur introuvable');
     return;
   }
-
-  // L'organisateur ne peut pas suivre sa propre session
-  if (session.organizer === user.name) {
-    sendError(res, 400, 'L\'organisateur ne peut pas suivre sa propre session');
+  if (target === user && !payload.isAdmin) {
+    sendError(res, 400, 'Vous ne pouvez pas retirer vos propres droits');
     return;
   }
-
-  // Initialiser le tableau followers si nécessaire
-  if (!session.followers) {
-    session.followers = [];
-  }
-
-  if (session.followers.includes(user.name)) {
-    sendError(res, 400, 'Vous suivez déjà cette session');
+  if (!payload.isAdmin && ADMIN_USERS.includes(target.normalized)) {
+    sendError(res, 400, 'Administrateur défini dans la configuration (ADMIN_USERS)');
     return;
   }
 
-  session.followers.push(user.name);
-  storage.writeSessions(sessions);
+  target.isAdmin = payload.isAdmin;
+  storage.writeUsers(users);
+  recordAdminAction(user, payload.isAdmin ? 'grantAdmin' : 'revokeAdmin', target.name);
 
-  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
+  sendJson(res, 200, { ok: true, user: formatUserForAdmin(target, storage.readAuthSessions()) });
 }
 
-async function handleUnfollowSession(req, res) {
+async function handleAdminDeleteMessage(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
-  const auth = requireAuth(req, res);
+  const auth = requireAdmin(req, res);
   if (!auth) return;
   const { user } = auth;
 
@@ -779,35 +3086,32 @@ async function handleUnfollowSession(req, res) {
     return;
   }
 
-  if (!payload || typeof payload.sessionId !== 'string') {
-    sendError(res, 400, 'Identifiant session manquant');
+  if (!payload || typeof payload.sessionId !== 'string' || typeof payload.messageId !== 'string') {
+    sendError(res, 400, 'Identifiant session ou message manquant');
     return;
   }
 
   const sessions = storage.readSessions();
   const session = sessions.find((s) => s.id === payload.sessionId);
-  if (!session) {
-    sendError(res, 404, 'Session introuvable');
+  const message = session && (session.messages || []).find((m) => m.id === payload.messageId);
+  if (!message) {
+    sendError(res, 404, 'Message introuvable');
     return;
   }
 
-  if (!session.followers || !session.followers.includes(user.name)) {
-    sendError(res, 400, 'Vous ne suivez pas cette session');
-    return;
-  }
-
-  session.followers = session.followers.filter((name) => name !== user.name);
-  storage.writeSessions(sessions);
+  session.messages = session.messages.filter((m) => m !== message);
+  saveSessions(sessions);
+  recordAdminAction(user, 'deleteMessage', session.id, { sender: message.sender, text: message.text.slice(0, 100) });
 
   sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
 }
 
-async function handleSendMessage(req, res) {
+async function handleAdminPurgePushSubscriptions(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
-  const auth = requireAuth(req, res);
+  const auth = requireAdmin(req, res);
   if (!auth) return;
   const { user } = auth;
 
@@ -819,78 +3123,89 @@ async function handleSendMessage(req, res) {
     return;
   }
 
-  if (!payload || typeof payload.sessionId !== 'string') {
-    sendError(res, 400, 'Identifiant session manquant');
-    return;
+  // Sans nom : tous les abonnements de tous les utilisateurs
+  const users = storage.readUsers();
+  let targets = users;
+  if (payload && typeof payload.name === 'string') {
+    const target = findUser(users, payload.name);
+    if (!target) {
+      sendError(res, 404, 'Utilisateur introuvable');
+      return;
+    }
+    targets = [target];
   }
 
-  const sessions = storage.readSessions();
-  const session = sessions.find((s) => s.id === payload.sessionId);
-  if (!session) {
-    sendError(res, 404, 'Session introuvable');
-    return;
+  let removed = 0;
+  for (const target of targets) {
+    removed += (target.pushSubscriptions || []).length;
+    target.pushSubscriptions = [];
   }
+  storage.writeUsers(users);
+  recordAdminAction(user, 'purgePushSubscriptions', targets.length === 1 ? targets[0].name : '*', { removed });
 
-  // Vérifier que la session n'a pas commencé
-  if (sessionHasStarted(session)) {
-    sendError(res, 400, 'La session est déjà commencée');
-    return;
-  }
+  sendJson(res, 200, { ok: true, removed });
+}
 
-  // Vérifier que l'utilisateur est organisateur, participant ou follower
-  const isOrganizer = session.organizer === user.name;
-  const isParticipant = session.participants.includes(user.name);
-  const isFollower = (session.followers || []).includes(user.name);
-  if (!isOrganizer && !isParticipant && !isFollower) {
-    sendError(res, 403, 'Vous devez être participant ou intéressé pour envoyer un message');
-    return;
-  }
+function handleAdminAuditLog(req, res, searchParams) {
+  const auth = requireAdmin(req, res);
+  if (!auth) return;
 
-  // Valider le texte du message
-  if (!payload.text || typeof payload.text !== 'string') {
-    sendError(res, 400, 'Message manquant');
-    return;
-  }
-  const text = payload.text.trim();
-  if (text.length === 0) {
-    sendError(res, 400, 'Le message ne peut pas être vide');
-    return;
-  }
-  if (text.length > 500) {
-    sendError(res, 400, 'Le message ne peut pas dépasser 500 caractères');
+  const offset = parseInt(searchParams.get('offset'), 10) || 0;
+  const limit = parseInt(searchParams.get('limit'), 10) || AUDIT_LOG_PAGE_SIZE;
+  if (offset < 0 || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+    sendError(res, 400, 'Pagination invalide');
     return;
   }
 
-  // Créer le message
-  const message = {
-    id: crypto.randomUUID(),
-    sender: user.name,
-    text: text,
-    timestamp: new Date().toISOString()
-  };
+  // Les entrées les plus récentes en premier
+  const entries = [...storage.readAuditLog()].reverse();
+  const page = entries.slice(offset, offset + limit);
+  sendJson(res, 200, {
+    ok: true,
+    entries: page,
+    total: entries.length,
+    hasMore: offset + page.length < entries.length
+  });
+}
 
-  // Initialiser le tableau messages si nécessaire
-  if (!session.messages) {
-    session.messages = [];
-  }
+function serveStaticFile(res, filePath, contentType) {
+  fs.readFile(filePath, (err, buffer) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': buffer.length });
+    res.end(buffer);
+  });
+}
 
-  // Ajouter le message et limiter à MAX_MESSAGES_PER_SESSION
-  session.messages.push(message);
-  if (session.messages.length > MAX_MESSAGES_PER_SESSION) {
-    session.messages = session.messages.slice(-MAX_MESSAGES_PER_SESSION);
-  }
+function formatInboxEntryForClient(entry) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    title: entry.title,
+    body: entry.body,
+    sessionId: entry.sessionId || null,
+    createdAt: entry.createdAt,
+    read: Boolean(entry.readAt)
+  };
+}
 
-  storage.writeSessions(sessions);
+function handleListInbox(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
 
-  // Envoyer les notifications push (async)
-  notifications.sendChatMessageNotification(session, message).catch((err) => {
-    debugError('Erreur lors de l\'envoi des notifications de chat:', err);
+  const entries = storage.readInbox().filter((entry) => entry.userName === auth.user.name);
+  sendJson(res, 200, {
+    ok: true,
+    items: entries.reverse().map(formatInboxEntryForClient),
+    unreadCount: entries.filter((entry) => !entry.readAt).length
   });
-
-  sendJson(res, 200, { ok: true, message, session: formatSessionForClient(session) });
 }
 
-async function handleEditSession(req, res) {
+// { id } pour une notification, { all: true } pour toutes
+async function handleMarkInboxRead(req, res) {
   if (!validateContentType(req)) {
     sendError(res, 400, 'Content-Type must be application/json');
     return;
@@ -907,117 +3222,194 @@ async function handleEditSession(req, res) {
     return;
   }
 
-  if (!payload || typeof payload.sessionId !== 'string') {
-    sendError(res, 400, 'Identifiant session manquant');
+  const markAll = Boolean(payload && payload.all === true);
+  if (!markAll && (!payload || typeof payload.id !== 'string')) {
+    sendError(res, 400, 'Identifiant de notification manquant');
     return;
   }
 
-  const sessions = storage.readSessions();
-  const session = sessions.find((s) => s.id === payload.sessionId);
-  if (!session) {
-    sendError(res, 404, 'Session introuvable');
+  const entries = storage.readInbox();
+  const targets = entries.filter((entry) => entry.userName === user.name && (markAll || entry.id === payload.id));
+  if (!markAll && targets.length === 0) {
+    sendError(res, 404, 'Notification introuvable');
     return;
   }
 
-  if (session.organizer !== user.name) {
-    sendError(res, 403, 'Seul l\'organisateur peut modifier la session');
-    return;
+  const readAt = new Date().toISOString();
+  const unread = targets.filter((entry) => !entry.readAt);
+  unread.forEach((entry) => { entry.readAt = readAt; });
+  if (unread.length > 0) {
+    storage.writeInbox(entries);
+    publishInboxCount(user.name);
   }
+  sendJson(res, 200, { ok: true, unreadCount: countUnreadInbox(user.name) });
+}
 
-  if (sessionHasStarted(session)) {
-    sendError(res, 400, 'La session est déjà commencée');
-    return;
+const NOTIFICATION_PREFERENCE_TOGGLES = ['newSession', 'participants', 'chat', 'reminders', 'spotAvailable'];
+const NOTIFICATION_CHANNEL_GROUPS = Object.keys(notifications.DEFAULT_NOTIFICATION_PREFERENCES.channels);
+const NOTIFICATION_CHANNELS = ['push', 'email', 'both'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_REMINDER_OFFSETS = 4;
+// Rappel « avant » : de 5 minutes à 2 jours
+const MIN_REMINDER_MINUTES = 5;
+const MAX_REMINDER_MINUTES = 2 * 24 * 60;
+
+function validateReminderOffsets(offsets) {
+  if (!Array.isArray(offsets) || offsets.length > MAX_REMINDER_OFFSETS) {
+    return { error: `Rappels invalides (${MAX_REMINDER_OFFSETS} au maximum)` };
+  }
+  const result = new Map();
+  for (const offset of offsets) {
+    if (offset && offset.type === 'before' && Number.isInteger(offset.minutes)
+      && offset.minutes >= MIN_REMINDER_MINUTES && offset.minutes <= MAX_REMINDER_MINUTES) {
+      result.set(`before:${offset.minutes}`, { type: 'before', minutes: offset.minutes });
+    } else if (offset && offset.type === 'dayBefore' && TIME_OF_DAY_PATTERN.test(offset.time)) {
+      result.set(`dayBefore:${offset.time}`, { type: 'dayBefore', time: offset.time });
+    } else {
+      return { error: 'Rappel invalide (de 5 minutes à 2 jours avant, ou la veille à HH:MM)' };
+    }
   }
+  return { offsets: [...result.values()] };
+}
 
-  const originalDatetime = session.datetime;
-  const { datetime, durationMinutes, club, level, capacity, pricePerParticipant } = payload;
+function validateNotificationPreferences(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: 'Préférences invalides' };
+  }
 
-  if (typeof datetime !== 'string') {
-    sendError(res, 400, 'Date/heure invalide');
-    return;
+  const preferences = {};
+  for (const key of NOTIFICATION_PREFERENCE_TOGGLES) {
+    if (typeof payload[key] !== 'boolean') {
+      return { error: 'Préférences invalides' };
+    }
+    preferences[key] = payload[key];
   }
 
-  const parsedDate = new Date(datetime);
-  if (Number.isNaN(parsedDate.getTime())) {
-    sendError(res, 400, 'Date/heure invalide');
-    return;
+  const clubIds = new Set(storage.readClubs().filter((club) => typeof club !== 'string').map((club) => club.id));
+  if (!Array.isArray(payload.clubIds) || !payload.clubIds.every((id) => clubIds.has(id))) {
+    return { error: 'Club inconnu dans les filtres' };
+  }
+  if (!Array.isArray(payload.levels) || !payload.levels.every((level) => ALLOWED_LEVELS.includes(level))) {
+    return { error: 'Niveau inconnu dans les filtres' };
   }
+  preferences.clubIds = [...new Set(payload.clubIds)];
+  preferences.levels = [...new Set(payload.levels)];
 
-  const now = Date.now();
-  if (parsedDate.getTime() < now - 5 * 60 * 1000) {
-    sendError(res, 400, 'La session doit être dans le futur');
-    return;
+  const quietHours = payload.quietHours;
+  if (!quietHours || typeof quietHours.enabled !== 'boolean'
+    || !TIME_OF_DAY_PATTERN.test(quietHours.start) || !TIME_OF_DAY_PATTERN.test(quietHours.end)) {
+    return { error: 'Heures calmes invalides (format HH:MM)' };
+  }
+  if (quietHours.enabled && quietHours.start === quietHours.end) {
+    return { error: 'Les heures calmes doivent avoir un début et une fin différents' };
+  }
+  preferences.quietHours = { enabled: quietHours.enabled, start: quietHours.start, end: quietHours.end };
+
+  const reminders = validateReminderOffsets(payload.reminderOffsets);
+  if (reminders.error) {
+    return { error: reminders.error };
   }
+  preferences.reminderOffsets = reminders.offsets;
 
-  const duration = Number(durationMinutes);
-  if (!Number.isFinite(duration) || duration <= 0 || duration > 300) {
-    sendError(res, 400, 'Durée invalide');
-    return;
+  const digest = payload.digest;
+  if (!digest || !DIGEST_FREQUENCIES.includes(digest.frequency)
+    || !Number.isInteger(digest.day) || digest.day < 0 || digest.day > 6
+    || !TIME_OF_DAY_PATTERN.test(digest.time)) {
+    return { error: 'Résumé invalide' };
   }
+  preferences.digest = { frequency: digest.frequency, day: digest.day, time: digest.time };
 
-  const clubs = storage.readClubs();
-  const normalizedClub = typeof club === 'string' ? club.trim() : '';
-  if (!normalizedClub) {
-    sendError(res, 400, 'Club invalide');
-    return;
+  const channels = payload.channels;
+  if (!channels || typeof channels !== 'object'
+    || !NOTIFICATION_CHANNEL_GROUPS.every((group) => NOTIFICATION_CHANNELS.includes(channels[group]))) {
+    return { error: 'Canaux de notification invalides' };
   }
-  if (clubs.length && !clubs.includes(normalizedClub)) {
-    sendError(res, 400, 'Club inconnu');
-    return;
+  preferences.channels = Object.fromEntries(NOTIFICATION_CHANNEL_GROUPS.map((group) => [group, channels[group]]));
+
+  return { preferences };
+}
+
+// Adresse vide : pas d'e-mail
+function validateEmail(value) {
+  if (value === undefined || value === null || value === '') {
+    return { email: null };
+  }
+  if (typeof value !== 'string') {
+    return { error: 'Adresse e-mail invalide' };
+  }
+  const email = value.trim();
+  if (email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email)) {
+    return { error: 'Adresse e-mail invalide' };
   }
+  return { email };
+}
 
-  const allowedLevels = ['débutant', 'moyen', 'confirmé'];
-  const normalizedLevel = typeof level === 'string' ? level.trim() : '';
-  if (!normalizedLevel || !allowedLevels.includes(normalizedLevel)) {
-    sendError(res, 400, 'Niveau invalide');
+function handleGetNotificationPreferences(req, res) {
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+
+  sendJson(res, 200, {
+    ok: true,
+    preferences: notifications.getNotificationPreferences(auth.user),
+    levels: ALLOWED_LEVELS,
+    email: auth.user.email || '',
+    emailAvailable: notifications.isEmailEnabled()
+  });
+}
+
+async function handleUpdateNotificationPreferences(req, res) {
+  if (!validateContentType(req)) {
+    sendError(res, 400, 'Content-Type must be application/json');
     return;
   }
+  const auth = requireAuth(req, res);
+  if (!auth) return;
+  const { user } = auth;
 
-  const normalizedCapacity = Number(capacity);
-  if (!Number.isInteger(normalizedCapacity) || normalizedCapacity < 1 || normalizedCapacity > 12) {
-    sendError(res, 400, 'Capacité invalide');
+  let payload;
+  try {
+    payload = await parseBody(req);
+  } catch (err) {
+    sendError(res, 400, err.message);
     return;
   }
 
-  // Vérifier que la nouvelle capacité est suffisante pour les participants actuels
-  const currentTotal = session.participants.length + 1;
-  if (normalizedCapacity < currentTotal) {
-    sendError(res, 400, `La capacité ne peut être inférieure au nombre actuel de participants (${currentTotal})`);
+  const validation = validateNotificationPreferences(payload && payload.preferences);
+  if (validation.error) {
+    sendError(res, 400, validation.error);
     return;
   }
-
-  const price = Number(pricePerParticipant);
-  if (!Number.isFinite(price) || price < 0) {
-    sendError(res, 400, 'Prix invalide');
+  const emailValidation = validateEmail(payload.email);
+  if (emailValidation.error) {
+    sendError(res, 400, emailValidation.error);
     return;
   }
-  const roundedPrice = Math.round(price * 100) / 100;
-
-  // Mettre à jour la session
-  session.datetime = parsedDate.toISOString();
-  session.durationMinutes = duration;
-  session.club = normalizedClub;
-  session.level = normalizedLevel;
-  session.capacity = normalizedCapacity;
-  session.pricePerParticipant = roundedPrice;
-  if (session.datetime !== originalDatetime) {
-    session.reminderSent = false;
+  // « Les deux » sans adresse reste valable : seul le push part
+  const emailOnly = Object.values(validation.preferences.channels).includes('email');
+  if (emailOnly && !emailValidation.email) {
+    sendError(res, 400, 'Renseignez une adresse e-mail pour recevoir des notifications par e-mail');
+    return;
   }
 
-  storage.writeSessions(sessions);
-
-  sendJson(res, 200, { ok: true, session: formatSessionForClient(session) });
-}
+  const users = storage.readUsers();
+  const stored = findUser(users, user.name);
+  if (!stored) {
+    sendError(res, 404, 'Utilisateur introuvable');
+    return;
+  }
+  stored.notificationPreferences = validation.preferences;
+  stored.email = emailValidation.email;
+  storage.writeUsers(users);
+  notifications.syncScheduledJobs();
 
-function serveStaticFile(res, filePath, contentType) {
-  fs.readFile(filePath, (err, buffer) => {
-    if (err) {
-      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
-      res.end('Not found');
-      return;
-    }
-    res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': buffer.length });
-    res.end(buffer);
+  debugLog(`Préférences de notification mises à jour pour ${user.name}`);
+  sendJson(res, 200, {
+    ok: true,
+    preferences: notifications.getNotificationPreferences(stored),
+    email: stored.email || ''
   });
 }
 
@@ -1029,7 +3421,7 @@ async function handleSubscribePush(req, res) {
 
   const auth = requireAuth(req, res);
   if (!auth) return;
-  const { user } = auth;
+  const { user, authSession } = auth;
 
   let payload;
   try {
@@ -1066,12 +3458,14 @@ async function handleSubscribePush(req, res) {
       endpoint: payload.endpoint,
       keys: payload.keys,
       expirationTime: payload.expirationTime || null,
+      deviceId: authSession.id,
       createdAt: existing.createdAt,
       updatedAt: new Date().toISOString()
     };
     const hasChanged =
       JSON.stringify(existing.keys) !== JSON.stringify(updated.keys) ||
-      existing.expirationTime !== updated.expirationTime;
+      existing.expirationTime !== updated.expirationTime ||
+      existing.deviceId !== updated.deviceId;
     if (hasChanged) {
       currentUser.pushSubscriptions[index] = updated;
       storage.writeUsers(users);
@@ -1091,6 +3485,7 @@ async function handleSubscribePush(req, res) {
       endpoint: payload.endpoint,
       keys: payload.keys,
       expirationTime: payload.expirationTime || null,
+      deviceId: authSession.id,
       createdAt: new Date().toISOString()
     };
     currentUser.pushSubscriptions.push(subscription);
@@ -1173,6 +3568,12 @@ function requestHandler(req, res) {
 
   const logPrefix = `${new Date().toISOString()} ${req.method} ${pathname}`;
 
+  if (req.method === 'POST') {
+    const ip = getClientIp(req);
+    if (!checkRateLimit(res, postIpLimiter, `ip:${ip}`)) return;
+    if (AUTH_RATE_LIMITED_PATHS.has(pathname) && !checkRateLimit(res, authIpLimiter, `auth:${ip}`)) return;
+  }
+
   if (req.method === 'GET' && pathname === '/') {
     debugLog(`${logPrefix} -> 200`);
     serveStaticFile(res, INDEX_FILE, 'text/html; charset=utf-8');
@@ -1247,7 +3648,82 @@ function requestHandler(req, res) {
 
   if (req.method === 'POST' && pathname === '/signout') {
     debugLog(`${logPrefix}`);
-    handleSignout(req, res);
+    handleSignout(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/me') {
+    debugLog(`${logPrefix}`);
+    handleMe(req, res);
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/listDevices') {
+    debugLog(`${logPrefix}`);
+    handleListDevices(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/revokeDevice') {
+    debugLog(`${logPrefix}`);
+    handleRevokeDevice(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/changePassword') {
+    debugLog(`${logPrefix}`);
+    handleChangePassword(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/createResetCode') {
+    debugLog(`${logPrefix}`);
+    handleCreateResetCode(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/resetPassword') {
+    debugLog(`${logPrefix}`);
+    handleResetPassword(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/listInvites') {
+    debugLog(`${logPrefix}`);
+    handleListInvites(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/createInvite') {
+    debugLog(`${logPrefix}`);
+    handleCreateInvite(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/deleteInvite') {
+    debugLog(`${logPrefix}`);
+    handleDeleteInvite(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
     return;
   }
 
@@ -1257,6 +3733,18 @@ function requestHandler(req, res) {
     return;
   }
 
+  if (req.method === 'GET' && pathname === '/events') {
+    debugLog(`${logPrefix}`);
+    handleLiveEvents(req, res);
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/listHistory') {
+    debugLog(`${logPrefix}`);
+    handleListHistory(req, res, url.searchParams);
+    return;
+  }
+
   if (req.method === 'GET' && pathname === '/version') {
     debugLog(`${logPrefix}`);
     sendJson(res, 200, { ok: true, version: APP_VERSION });
@@ -1272,6 +3760,15 @@ function requestHandler(req, res) {
     return;
   }
 
+  if (req.method === 'POST' && pathname === '/cancelSession') {
+    debugLog(`${logPrefix}`);
+    handleCancelSession(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
   if (req.method === 'POST' && pathname === '/deleteSession') {
     debugLog(`${logPrefix}`);
     handleDeleteSession(req, res).catch((err) => {
@@ -1344,6 +3841,120 @@ function requestHandler(req, res) {
     return;
   }
 
+  if (req.method === 'GET' && pathname === '/listTemplates') {
+    debugLog(`${logPrefix}`);
+    handleListTemplates(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/createTemplate') {
+    debugLog(`${logPrefix}`);
+    handleCreateTemplate(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/editTemplate') {
+    debugLog(`${logPrefix}`);
+    handleEditTemplate(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/pauseTemplate') {
+    debugLog(`${logPrefix}`);
+    handlePauseTemplate(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/skipTemplateDate') {
+    debugLog(`${logPrefix}`);
+    handleSkipTemplateDate(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/deleteTemplate') {
+    debugLog(`${logPrefix}`);
+    handleDeleteTemplate(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/listClubs') {
+    debugLog(`${logPrefix}`);
+    handleListClubs(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/createClub') {
+    debugLog(`${logPrefix}`);
+    handleCreateClub(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/editClub') {
+    debugLog(`${logPrefix}`);
+    handleEditClub(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/deleteClub') {
+    debugLog(`${logPrefix}`);
+    handleDeleteClub(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/inbox') {
+    debugLog(`${logPrefix}`);
+    handleListInbox(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/markInboxRead') {
+    debugLog(`${logPrefix}`);
+    handleMarkInboxRead(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/notificationPreferences') {
+    debugLog(`${logPrefix}`);
+    handleGetNotificationPreferences(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/updateNotificationPreferences') {
+    debugLog(`${logPrefix}`);
+    handleUpdateNotificationPreferences(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
   if (req.method === 'POST' && pathname === '/subscribePush') {
     debugLog(`${logPrefix}`);
     handleSubscribePush(req, res).catch((err) => {
@@ -1362,6 +3973,54 @@ function requestHandler(req, res) {
     return;
   }
 
+  if (req.method === 'GET' && pathname === '/admin/listUsers') {
+    debugLog(`${logPrefix}`);
+    handleAdminListUsers(req, res);
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/admin/auditLog') {
+    debugLog(`${logPrefix}`);
+    handleAdminAuditLog(req, res, url.searchParams);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/admin/deleteUser') {
+    debugLog(`${logPrefix}`);
+    handleAdminDeleteUser(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/admin/setAdmin') {
+    debugLog(`${logPrefix}`);
+    handleAdminSetAdmin(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/admin/deleteMessage') {
+    debugLog(`${logPrefix}`);
+    handleAdminDeleteMessage(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/admin/purgePushSubscriptions') {
+    debugLog(`${logPrefix}`);
+    handleAdminPurgePushSubscriptions(req, res).catch((err) => {
+      debugError(`${logPrefix} error`, err);
+      sendError(res, 500, 'Erreur serveur');
+    });
+    return;
+  }
+
   if (req.method === 'POST' && pathname === '/webhook/deploy') {
     console.log(`${logPrefix} -> webhook deploy`);
     handleWebhookDeploy(req, res);
@@ -1373,7 +4032,14 @@ function requestHandler(req, res) {
   res.end(JSON.stringify({ ok: false, error: 'Not found' }));
 }
 
-notifications.startReminderScheduler();
+upgradeClubCatalogue();
+upgradeLegacyReminders();
+initLiveUpdates();
+notifications.startPushQueue();
+notifications.startEmailQueue();
+notifications.startScheduler();
+startRecurringSessionGenerator();
+startRateLimitCleanup();
 
 const server = http.createServer(requestHandler);
 
@@ -26,12 +26,12 @@ self.addEventListener('push', (event) => {
     body: data.body,
     icon: '/favicon.png',
     badge: '/favicon.png',
-    data: data.url ? { url: data.url } : {},
+    data: { url: data.url || '/', sessionId: data.sessionId || null, kind: data.kind || null },
     tag: data.tag || 'badly-notification',
     requireInteraction: false,
     vibrate: [200, 100, 200],
-    // Afficher un badge numérique si possible
-    actions: []
+    // Boutons adaptés à l'événement (« Je viens », « Répondre »…), fournis par le serveur
+    actions: Array.isArray(data.actions) ? data.actions : []
   };
 
   event.waitUntil(
@@ -47,26 +47,100 @@ self.addEventListener('notificationclick', (event) => {
   console.log('Notification cliquée', event);
   event.notification.close();
 
+  const data = event.notification.data || {};
+  let handled;
+  if (event.action === 'join' && data.sessionId) {
+    handled = joinSession(data.sessionId);
+  } else if (event.action === 'reply' && data.sessionId) {
+    handled = event.reply
+      ? replyInChat(data.sessionId, event.reply)
+      : openApp(data.sessionId, { chat: true });
+  } else {
+    handled = openApp(data.sessionId, { chat: data.kind === 'chat' });
+  }
+
   event.waitUntil(
     Promise.all([
       // Réinitialiser le badge quand l'utilisateur clique sur la notification
       clearBadge(),
-      clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
-        // Si une fenêtre est déjà ouverte, la mettre au premier plan
-        for (const client of clientList) {
-          if (client.url === '/' && 'focus' in client) {
-            return client.focus();
-          }
-        }
-        // Sinon, ouvrir une nouvelle fenêtre
-        if (clients.openWindow) {
-          return clients.openWindow('/');
-        }
-      })
+      handled
     ])
   );
 });
 
+function sessionUrl(sessionId, chat) {
+  if (!sessionId) return '/';
+  return `/?session=${encodeURIComponent(sessionId)}${chat ? '&chat=1' : ''}`;
+}
+
+// Ouvrir l'app sur la session concernée
+async function openApp(sessionId, { chat = false } = {}) {
+  const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  // Si une fenêtre est déjà ouverte, la mettre au premier plan et lui indiquer la session
+  const client = clientList.find((c) => new URL(c.url).origin === self.location.origin && 'focus' in c);
+  if (client) {
+    if (sessionId) {
+      client.postMessage({ type: 'open-session', sessionId, chat });
+    }
+    return client.focus();
+  }
+  // Sinon, ouvrir une nouvelle fenêtre
+  if (clients.openWindow) {
+    return clients.openWindow(sessionUrl(sessionId, chat));
+  }
+}
+
+// Le cookie de connexion accompagne la requête : le serveur vérifie que l'action est permise
+async function callApi(path, body) {
+  const response = await fetch(path, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.ok) {
+    const error = new Error(result.error || 'Erreur serveur');
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+}
+
+function showResult(sessionId, title, body) {
+  return self.registration.showNotification(title, {
+    body,
+    icon: '/favicon.png',
+    badge: '/favicon.png',
+    tag: `badly-action-${sessionId}`,
+    data: { url: sessionUrl(sessionId), sessionId }
+  });
+}
+
+// « Je viens » : inscription directe, ou liste d'attente si la session s'est remplie entre-temps
+async function joinSession(sessionId) {
+  try {
+    const result = await callApi('/joinSession', { sessionId });
+    return showResult(sessionId, result.waitlistPosition ? 'Liste d\'attente' : 'Inscription confirmée', result.waitlistPosition
+      ? `Session complète : vous êtes n°${result.waitlistPosition} sur la liste d'attente`
+      : 'Vous êtes inscrit à la session');
+  } catch (err) {
+    // Déconnecté : l'app demandera de se reconnecter avant d'afficher la session
+    if (err.status === 401) {
+      return openApp(sessionId);
+    }
+    return showResult(sessionId, 'Inscription impossible', err.message);
+  }
+}
+
+async function replyInChat(sessionId, text) {
+  try {
+    await callApi('/sendMessage', { sessionId, text });
+  } catch (err) {
+    return openApp(sessionId, { chat: true });
+  }
+}
+
 // Fonctions pour gérer le badge numérique
 async function incrementBadge() {
   if ('setAppBadge' in navigator) {
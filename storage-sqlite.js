@@ -0,0 +1,132 @@
+const DEBUG = process.env.DEBUG === 'true';
+
+function debugLog(...args) {
+  if (DEBUG) {
+    console.log(...args);
+  }
+}
+
+// One table per collection: each record is stored as a JSON document under its key.
+// Records come back in insertion order (rowid), which matches how the JSON arrays grow.
+function assertTableName(name) {
+  if (!/^[A-Za-z_]+$/.test(name)) {
+    throw new Error(`Invalid collection name: ${name}`);
+  }
+}
+
+function openSqliteBackend(dbPath, collectionKeys) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('better-sqlite3 non disponible - installez avec: npm install better-sqlite3');
+  }
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+
+  const statements = new Map();
+  // name -> { records, rows: Map<key, serialized> }
+  const caches = new Map();
+
+  function getStatements(name) {
+    if (statements.has(name)) {
+      return statements.get(name);
+    }
+    assertTableName(name);
+    if (!collectionKeys[name]) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+    db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (key TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    const stmts = {
+      selectAll: db.prepare(`SELECT key, data FROM "${name}" ORDER BY rowid`),
+      count: db.prepare(`SELECT COUNT(*) AS count FROM "${name}"`),
+      upsert: db.prepare(`INSERT INTO "${name}" (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data`),
+      remove: db.prepare(`DELETE FROM "${name}" WHERE key = ?`)
+    };
+    statements.set(name, stmts);
+    return stmts;
+  }
+
+  function serializeRows(name, records) {
+    const keyOf = collectionKeys[name];
+    const rows = new Map();
+    for (const record of records) {
+      const key = keyOf(record);
+      if (typeof key !== 'string' || !key) {
+        throw new Error(`Invalid key in ${name}`);
+      }
+      if (rows.has(key)) {
+        throw new Error(`Duplicate key in ${name}: ${key}`);
+      }
+      rows.set(key, JSON.stringify(record));
+    }
+    return rows;
+  }
+
+  function read(name) {
+    const cached = caches.get(name);
+    if (cached) {
+      return cached.records;
+    }
+
+    const { selectAll } = getStatements(name);
+    const rows = new Map();
+    const records = [];
+    for (const row of selectAll.all()) {
+      rows.set(row.key, row.data);
+      records.push(JSON.parse(row.data));
+    }
+    caches.set(name, { records, rows });
+    return records;
+  }
+
+  // Only the records that changed since the last read/write are written,
+  // so a small change no longer rewrites the whole collection.
+  function write(name, records) {
+    if (!Array.isArray(records)) {
+      throw new Error(`Invalid content for ${name}: expected array`);
+    }
+    const { upsert, remove } = getStatements(name);
+    if (!caches.has(name)) {
+      read(name);
+    }
+    const previousRows = caches.get(name).rows;
+    const nextRows = serializeRows(name, records);
+
+    let upserted = 0;
+    let removed = 0;
+    db.transaction(() => {
+      for (const key of previousRows.keys()) {
+        if (!nextRows.has(key)) {
+          remove.run(key);
+          removed++;
+        }
+      }
+      for (const [key, data] of nextRows) {
+        if (previousRows.get(key) !== data) {
+          upsert.run(key, data);
+          upserted++;
+        }
+      }
+    })();
+
+    caches.set(name, { records, rows: nextRows });
+    debugLog(`SQLite ${name}: ${upserted} écrit(s), ${removed} supprimé(s)`);
+  }
+
+  function count(name) {
+    return getStatements(name).count.get().count;
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return { read, write, count, close };
+}
+
+module.exports = {
+  openSqliteBackend
+};
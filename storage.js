@@ -16,19 +16,31 @@ function debugError(...args) {
 }
 
 const DATA_DIR = path.join(__dirname, process.env.DATA_DIR || 'data');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND === 'sqlite' ? 'sqlite' : 'json';
+const SQLITE_FILE = path.join(DATA_DIR, process.env.SQLITE_FILE || 'badly.sqlite');
 
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
-const CLUBS_FILE = path.join(DATA_DIR, 'clubs.json');
+// Record key of each collection (used by the SQLite backend for record-level writes)
+const COLLECTION_KEYS = {
+  users: (user) => user.normalized,
+  sessions: (session) => session.id,
+  // Legacy club entries are plain names
+  clubs: (club) => (typeof club === 'string' ? club : club.id),
+  history: (entry) => entry.id,
+  templates: (template) => template.id,
+  authSessions: (authSession) => authSession.id,
+  resetCodes: (resetCode) => resetCode.id,
+  invites: (invite) => invite.code,
+  auditLog: (entry) => entry.id,
+  heldNotifications: (notification) => notification.id,
+  pushDeliveries: (delivery) => delivery.id,
+  inbox: (entry) => entry.id,
+  scheduledJobs: (job) => job.id,
+  emailDeliveries: (delivery) => delivery.id
+};
 
 // Ensure data directory exists
 fs.mkdirSync(DATA_DIR, { recursive: true });
 
-// Independent caches
-let usersCache = null;
-let sessionsCache = null;
-let clubsCache = null;
-
 function getBackupPath(filePath) {
   return `${filePath}.bak`;
 }
@@ -128,38 +140,199 @@ function writeFile(filePath, data, setCache) {
   setCache(data);
 }
 
+function getCollectionPath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+// JSON backend: one file per collection, independent caches
+const jsonCaches = new Map();
+
+const jsonBackend = {
+  read(name, seed) {
+    const cache = jsonCaches.has(name) ? jsonCaches.get(name) : null;
+    return readFile(getCollectionPath(name), cache, (v) => { jsonCaches.set(name, v); }, seed);
+  },
+  write(name, data) {
+    writeFile(getCollectionPath(name), data, (v) => { jsonCaches.set(name, v); });
+  }
+};
+
+// The SQLite backend is opened lazily so that tools requiring this module (migration) don't open it
+let backend = null;
+
+function getBackend() {
+  if (backend) {
+    return backend;
+  }
+  if (STORAGE_BACKEND === 'sqlite') {
+    const { openSqliteBackend } = require('./storage-sqlite');
+    backend = openSqliteBackend(SQLITE_FILE, COLLECTION_KEYS);
+    console.log(`Stockage SQLite: ${path.relative(__dirname, SQLITE_FILE)}`);
+  } else {
+    backend = jsonBackend;
+  }
+  return backend;
+}
+
 // --- Users ---
 function readUsers() {
-  return readFile(USERS_FILE, usersCache, (v) => { usersCache = v; }, []);
+  return getBackend().read('users', []);
 }
 
 function writeUsers(users) {
-  writeFile(USERS_FILE, users, (v) => { usersCache = v; });
+  getBackend().write('users', users);
 }
 
 // --- Sessions ---
 function readSessions() {
-  return readFile(SESSIONS_FILE, sessionsCache, (v) => { sessionsCache = v; }, []);
+  return getBackend().read('sessions', []);
 }
 
 function writeSessions(sessions) {
-  writeFile(SESSIONS_FILE, sessions, (v) => { sessionsCache = v; });
+  getBackend().write('sessions', sessions);
 }
 
 // --- Clubs ---
 function readClubs() {
-  return readFile(CLUBS_FILE, clubsCache, (v) => { clubsCache = v; }, []);
+  return getBackend().read('clubs', []);
 }
 
 function writeClubs(clubs) {
-  writeFile(CLUBS_FILE, clubs, (v) => { clubsCache = v; });
+  getBackend().write('clubs', clubs);
+}
+
+// --- History (archived sessions) ---
+function readHistory() {
+  return getBackend().read('history', []);
+}
+
+function writeHistory(history) {
+  getBackend().write('history', history);
+}
+
+// --- Recurring session templates ---
+function readTemplates() {
+  return getBackend().read('templates', []);
+}
+
+function writeTemplates(templates) {
+  getBackend().write('templates', templates);
+}
+
+// --- Auth sessions (one per signed-in device) ---
+function readAuthSessions() {
+  return getBackend().read('authSessions', []);
+}
+
+function writeAuthSessions(authSessions) {
+  getBackend().write('authSessions', authSessions);
+}
+
+// --- Password reset codes (one-time, issued by an admin) ---
+function readResetCodes() {
+  return getBackend().read('resetCodes', []);
+}
+
+function writeResetCodes(resetCodes) {
+  getBackend().write('resetCodes', resetCodes);
+}
+
+// --- Invite codes (signup is invite-only) ---
+function readInvites() {
+  return getBackend().read('invites', []);
+}
+
+function writeInvites(invites) {
+  getBackend().write('invites', invites);
+}
+
+// --- Audit log of admin actions ---
+function readAuditLog() {
+  return getBackend().read('auditLog', []);
+}
+
+function writeAuditLog(entries) {
+  getBackend().write('auditLog', entries);
+}
+
+// --- Notifications held back during a user's quiet hours ---
+function readHeldNotifications() {
+  return getBackend().read('heldNotifications', []);
+}
+
+function writeHeldNotifications(notifications) {
+  getBackend().write('heldNotifications', notifications);
+}
+
+// --- Push delivery queue (one record per notification and user) ---
+function readPushDeliveries() {
+  return getBackend().read('pushDeliveries', []);
+}
+
+function writePushDeliveries(deliveries) {
+  getBackend().write('pushDeliveries', deliveries);
+}
+
+// --- In-app notification inbox ---
+function readInbox() {
+  return getBackend().read('inbox', []);
+}
+
+function writeInbox(entries) {
+  getBackend().write('inbox', entries);
+}
+
+// --- Scheduled jobs (reminders, digests, deadlines) ---
+function readScheduledJobs() {
+  return getBackend().read('scheduledJobs', []);
+}
+
+function writeScheduledJobs(jobs) {
+  getBackend().write('scheduledJobs', jobs);
+}
+
+// --- Email delivery queue ---
+function readEmailDeliveries() {
+  return getBackend().read('emailDeliveries', []);
+}
+
+function writeEmailDeliveries(deliveries) {
+  getBackend().write('emailDeliveries', deliveries);
 }
 
 module.exports = {
+  STORAGE_BACKEND,
+  DATA_DIR,
+  SQLITE_FILE,
+  COLLECTION_KEYS,
+  getCollectionPath,
+  getBackupPath,
   readUsers,
   writeUsers,
   readSessions,
   writeSessions,
   readClubs,
-  writeClubs
+  writeClubs,
+  readHistory,
+  writeHistory,
+  readTemplates,
+  writeTemplates,
+  readAuthSessions,
+  writeAuthSessions,
+  readResetCodes,
+  writeResetCodes,
+  readInvites,
+  writeInvites,
+  readAuditLog,
+  writeAuditLog,
+  readHeldNotifications,
+  writeHeldNotifications,
+  readPushDeliveries,
+  writePushDeliveries,
+  readInbox,
+  writeInbox,
+  readScheduledJobs,
+  writeScheduledJobs,
+  readEmailDeliveries,
+  writeEmailDeliveries
 };
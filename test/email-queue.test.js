@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Each test file runs in its own process: give it a private data directory
+process.env.DATA_DIR = path.join('test', `.data-email-queue-${process.pid}`);
+const storage = require('../storage');
+const { createEmailQueue } = require('../email-queue');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const MESSAGE = { subject: 'Rappel', text: 'texte', html: '<p>texte</p>' };
+
+function smtpError(responseCode) {
+  return Object.assign(new Error(`SMTP ${responseCode}`), { responseCode });
+}
+
+function createQueue(send, maxAttempts = 3) {
+  return createEmailQueue({ send, maxAttempts, baseRetryDelayMs: 1, maxRetryDelayMs: 1 });
+}
+
+// enqueue() processes in the background: poll the stored deliveries
+async function waitFor(predicate, timeoutMs = 2000) {
+  const start = Date.now();
+  for (;;) {
+    const deliveries = storage.readEmailDeliveries();
+    if (predicate(deliveries)) return deliveries;
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for the email queue');
+    await delay(5);
+  }
+}
+
+const attempted = (count) => ([delivery]) => delivery && delivery.attempts >= count;
+
+// Retries are due after 1 ms; run them by hand instead of polling
+async function retry(queue, count) {
+  await delay(5);
+  await queue.processDue();
+  return waitFor(attempted(count));
+}
+
+test.beforeEach(() => storage.writeEmailDeliveries([]));
+test.after(() => fs.rmSync(storage.DATA_DIR, { recursive: true, force: true }));
+
+test('a message is sent once and recorded as sent', async () => {
+  const sent = [];
+  const queue = createQueue(async (to, message) => sent.push([to, message.subject]));
+  const id = queue.enqueue('alice', 'alice@example.com', MESSAGE);
+  const [delivery] = await waitFor(attempted(1));
+  assert.strictEqual(delivery.id, id);
+  assert.strictEqual(delivery.status, 'sent');
+  assert.deepStrictEqual(sent, [['alice@example.com', 'Rappel']]);
+});
+
+test('network and 4xx errors are retried', async () => {
+  const failures = [Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }), smtpError(421)];
+  const queue = createQueue(async () => {
+    if (failures.length > 0) throw failures.shift();
+  });
+  queue.enqueue('alice', 'alice@example.com', MESSAGE);
+  let [delivery] = await waitFor(attempted(1));
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.lastError, 'connect ECONNREFUSED');
+
+  [delivery] = await retry(queue, 2);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.lastError, '421');
+
+  [delivery] = await retry(queue, 3);
+  assert.strictEqual(delivery.status, 'sent');
+  assert.strictEqual(delivery.lastError, null);
+});
+
+test('a 5xx rejection fails at once', async () => {
+  let calls = 0;
+  const queue = createQueue(async () => { calls++; throw smtpError(550); });
+  queue.enqueue('alice', 'nobody@example.com', MESSAGE);
+  const [delivery] = await waitFor(attempted(1));
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.lastError, '550');
+
+  await delay(5);
+  await queue.processDue();
+  assert.strictEqual(calls, 1);
+});
+
+test('retries stop after `maxAttempts`', async () => {
+  let calls = 0;
+  const queue = createQueue(async () => { calls++; throw smtpError(451); }, 2);
+  queue.enqueue('alice', 'alice@example.com', MESSAGE);
+  await waitFor(attempted(1));
+  const [delivery] = await retry(queue, 2);
+  assert.strictEqual(delivery.status, 'failed');
+
+  await delay(5);
+  await queue.processDue();
+  assert.strictEqual(calls, 2);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Each test file runs in its own process: give it a private data directory
+process.env.DATA_DIR = path.join('test', `.data-push-queue-${process.pid}`);
+const storage = require('../storage');
+const { createPushQueue } = require('../push-queue');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function httpError(statusCode) {
+  return Object.assign(new Error(`HTTP ${statusCode}`), { statusCode });
+}
+
+function createQueue({ subscriptions, send, removed = [], maxAttempts = 3 }) {
+  return createPushQueue({
+    send,
+    getSubscriptions: () => subscriptions,
+    removeSubscriptions: (endpoints) => removed.push(...endpoints),
+    maxAttempts,
+    baseRetryDelayMs: 1,
+    maxRetryDelayMs: 1
+  });
+}
+
+// enqueue() processes in the background: poll the stored deliveries
+async function waitFor(predicate, timeoutMs = 2000) {
+  const start = Date.now();
+  for (;;) {
+    const deliveries = storage.readPushDeliveries();
+    if (predicate(deliveries)) return deliveries;
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for the push queue');
+    await delay(5);
+  }
+}
+
+const attempted = (count) => ([delivery]) => delivery && delivery.attempts >= count;
+
+// Retries are due after 1 ms; run them by hand instead of polling
+async function retry(queue, count) {
+  await delay(5);
+  await queue.processDue();
+  return waitFor(attempted(count));
+}
+
+test.beforeEach(() => storage.writePushDeliveries([]));
+test.after(() => fs.rmSync(storage.DATA_DIR, { recursive: true, force: true }));
+
+test('a delivery reaches every device of the user', async () => {
+  const sent = [];
+  const queue = createQueue({
+    subscriptions: [{ endpoint: 'https://push/1' }, { endpoint: 'https://push/2' }],
+    send: async (subscription, payload) => sent.push([subscription.endpoint, JSON.parse(payload).title])
+  });
+  queue.enqueue('alice', { title: 'Salut' });
+  const [delivery] = await waitFor(attempted(1));
+  assert.strictEqual(delivery.status, 'sent');
+  assert.deepStrictEqual(sent.sort(), [['https://push/1', 'Salut'], ['https://push/2', 'Salut']]);
+});
+
+test('a 5xx is retried and only the failed device is sent again', async () => {
+  const sent = [];
+  let failures = 1;
+  const queue = createQueue({
+    subscriptions: [{ endpoint: 'https://push/ok' }, { endpoint: 'https://push/flaky' }],
+    send: async (subscription) => {
+      if (subscription.endpoint === 'https://push/flaky' && failures-- > 0) throw httpError(503);
+      sent.push(subscription.endpoint);
+    }
+  });
+  queue.enqueue('alice', { title: 'Salut' });
+  let [delivery] = await waitFor(attempted(1));
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.lastError, '503');
+
+  [delivery] = await retry(queue, 2);
+  assert.strictEqual(delivery.status, 'sent');
+  assert.strictEqual(delivery.attempts, 2);
+  assert.deepStrictEqual(sent.sort(), ['https://push/flaky', 'https://push/ok']);
+});
+
+test('a gone device is removed and not retried', async () => {
+  const removed = [];
+  const queue = createQueue({
+    subscriptions: [{ endpoint: 'https://push/gone' }],
+    send: async () => { throw httpError(410); },
+    removed
+  });
+  queue.enqueue('alice', { title: 'Salut' });
+  const [delivery] = await waitFor(attempted(1));
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts, 1);
+  assert.deepStrictEqual(removed, ['https://push/gone']);
+});
+
+test('a 4xx fails without retry', async () => {
+  const queue = createQueue({
+    subscriptions: [{ endpoint: 'https://push/1' }],
+    send: async () => { throw httpError(400); }
+  });
+  queue.enqueue('alice', { title: 'Salut' });
+  const [delivery] = await waitFor(attempted(1));
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.lastError, '400');
+});
+
+test('retries stop after `maxAttempts`', async () => {
+  let calls = 0;
+  const queue = createQueue({
+    subscriptions: [{ endpoint: 'https://push/1' }],
+    send: async () => { calls++; throw new Error('ECONNRESET'); },
+    maxAttempts: 2
+  });
+  queue.enqueue('alice', { title: 'Salut' });
+  await waitFor(attempted(1));
+  const [delivery] = await retry(queue, 2);
+  await delay(5);
+  await queue.processDue();
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts, 2);
+  assert.strictEqual(calls, 2);
+});
+
+test('a user without devices ends as failed', async () => {
+  const queue = createQueue({ subscriptions: [], send: async () => {} });
+  queue.enqueue('alice', { title: 'Salut' });
+  const [delivery] = await waitFor(attempted(1));
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.lastError, 'no subscription');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createRateLimiter, createLockoutTracker } = require('../rate-limit');
+
+test('rate limiter allows `limit` hits per window, then reports the wait', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 10000 });
+  assert.strictEqual(limiter.hit('ip', 0).allowed, true);
+  assert.strictEqual(limiter.hit('ip', 1000).allowed, true);
+  assert.deepStrictEqual(limiter.hit('ip', 2000), { allowed: false, retryAfterSeconds: 8 });
+  // Keys are counted separately
+  assert.strictEqual(limiter.hit('other', 2000).allowed, true);
+});
+
+test('rate limiter starts a fresh window once the previous one is over', () => {
+  const limiter = createRateLimiter({ limit: 1, windowMs: 10000 });
+  limiter.hit('ip', 0);
+  assert.strictEqual(limiter.hit('ip', 5000).allowed, false);
+  assert.strictEqual(limiter.hit('ip', 10000).allowed, true);
+});
+
+test('rate limiter cleanup drops expired windows only', () => {
+  const limiter = createRateLimiter({ limit: 1, windowMs: 10000 });
+  limiter.hit('old', 0);
+  limiter.hit('recent', 5000);
+  limiter.cleanup(12000);
+  assert.strictEqual(limiter.size(), 1);
+});
+
+test('lockout starts at `maxFailures` failures within the window', () => {
+  const tracker = createLockoutTracker({ maxFailures: 3, windowMs: 60000, lockoutMs: 30000 });
+  assert.strictEqual(tracker.recordFailure('alice', 0), 0);
+  assert.strictEqual(tracker.recordFailure('alice', 1000), 0);
+  assert.strictEqual(tracker.recordFailure('alice', 2000), 30);
+  assert.strictEqual(tracker.check('alice', 12000), 20);
+  assert.strictEqual(tracker.check('bob', 12000), 0);
+});
+
+test('lockout ends after `lockoutMs` and failures start over', () => {
+  const tracker = createLockoutTracker({ maxFailures: 2, windowMs: 60000, lockoutMs: 30000 });
+  tracker.recordFailure('alice', 0);
+  tracker.recordFailure('alice', 0);
+  assert.strictEqual(tracker.check('alice', 30000), 0);
+  assert.strictEqual(tracker.recordFailure('alice', 30000), 0);
+});
+
+test('failures spread beyond the window do not lock', () => {
+  const tracker = createLockoutTracker({ maxFailures: 2, windowMs: 60000, lockoutMs: 30000 });
+  tracker.recordFailure('alice', 0);
+  assert.strictEqual(tracker.recordFailure('alice', 60000), 0);
+});
+
+test('reset clears the failures of a key', () => {
+  const tracker = createLockoutTracker({ maxFailures: 2, windowMs: 60000, lockoutMs: 30000 });
+  tracker.recordFailure('alice', 0);
+  tracker.reset('alice');
+  assert.strictEqual(tracker.recordFailure('alice', 1000), 0);
+});
+
+test('lockout cleanup keeps locked keys until the lock expires', () => {
+  const tracker = createLockoutTracker({ maxFailures: 1, windowMs: 1000, lockoutMs: 30000 });
+  tracker.recordFailure('locked', 0);
+  tracker.cleanup(5000);
+  assert.strictEqual(tracker.size(), 1);
+  tracker.cleanup(30000);
+  assert.strictEqual(tracker.size(), 0);
+});
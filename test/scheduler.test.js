@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// Each test file runs in its own process: give it a private data directory
+process.env.DATA_DIR = path.join('test', `.data-scheduler-${process.pid}`);
+const storage = require('../storage');
+const { createScheduler } = require('../scheduler');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const MINUTE = 60 * 1000;
+
+// Jobs run in the background: poll the stored jobs
+async function waitForJob(id, predicate, timeoutMs = 2000) {
+  const start = Date.now();
+  for (;;) {
+    const job = storage.readScheduledJobs().find((entry) => entry.id === id);
+    if (job && predicate(job)) return job;
+    if (Date.now() - start > timeoutMs) throw new Error(`Timed out waiting for job ${id}`);
+    await delay(5);
+  }
+}
+
+const finished = (job) => job.status !== 'pending';
+
+function startScheduler(handlers, options = {}) {
+  const scheduler = createScheduler({ handlers, retryDelayMs: 10, sweepIntervalMs: MINUTE, ...options });
+  scheduler.start();
+  return scheduler;
+}
+
+test.beforeEach(() => storage.writeScheduledJobs([]));
+test.after(() => fs.rmSync(storage.DATA_DIR, { recursive: true, force: true }));
+
+test('a due job runs with its payload and keeps what the handler returns', async () => {
+  const payloads = [];
+  const scheduler = startScheduler({
+    ping: { run: async (payload) => { payloads.push(payload); return { sent: 1 }; } }
+  });
+  scheduler.schedule('ping:1', 'ping', new Date(Date.now() + 20), { to: 'alice' });
+
+  const job = await waitForJob('ping:1', finished);
+  assert.strictEqual(job.status, 'done');
+  assert.deepStrictEqual(job.result, { sent: 1 });
+  assert.deepStrictEqual(payloads, [{ to: 'alice' }]);
+});
+
+test('a job overdue beyond its grace window is recorded as missed without running', async () => {
+  let runs = 0;
+  const scheduler = startScheduler({
+    late: { run: async () => { runs++; }, graceMs: 30 * MINUTE }
+  });
+  scheduler.schedule('late:old', 'late', new Date(Date.now() - 2 * 60 * MINUTE));
+  scheduler.schedule('late:recent', 'late', new Date(Date.now() - 10 * MINUTE));
+
+  assert.strictEqual((await waitForJob('late:old', finished)).status, 'missed');
+  assert.strictEqual((await waitForJob('late:recent', finished)).status, 'done');
+  assert.strictEqual(runs, 1);
+});
+
+test('a failing handler is retried, then succeeds', async () => {
+  let calls = 0;
+  const scheduler = startScheduler({
+    flaky: { run: async () => { if (++calls === 1) throw new Error('disk full'); } }
+  });
+  scheduler.schedule('flaky:1', 'flaky', new Date());
+
+  const retrying = await waitForJob('flaky:1', (job) => job.attempts === 1);
+  assert.strictEqual(retrying.status, 'pending');
+  assert.strictEqual(retrying.lastError, 'disk full');
+
+  const job = await waitForJob('flaky:1', finished);
+  assert.strictEqual(job.status, 'done');
+  assert.strictEqual(calls, 2);
+});
+
+test('a handler that keeps failing ends as failed after `maxAttempts`', async () => {
+  let calls = 0;
+  const scheduler = startScheduler({
+    broken: { run: async () => { calls++; throw new Error('boom'); } }
+  }, { maxAttempts: 2 });
+  scheduler.schedule('broken:1', 'broken', new Date());
+
+  const job = await waitForJob('broken:1', finished);
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.attempts, 2);
+  assert.strictEqual(job.lastError, 'boom');
+  assert.strictEqual(calls, 2);
+});
+
+test('a job of an unknown type fails', async () => {
+  const scheduler = startScheduler({});
+  scheduler.schedule('mystery:1', 'mystery', new Date());
+  const job = await waitForJob('mystery:1', finished);
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.lastError, 'unknown job type mystery');
+});
+
+test('replace() moves and cancels pending jobs but never reruns a finished one', async () => {
+  let runs = 0;
+  const scheduler = startScheduler({ tick: { run: async () => { runs++; } } });
+  scheduler.schedule('tick:done', 'tick', new Date());
+  await waitForJob('tick:done', finished);
+
+  const later = new Date(Date.now() + 60 * MINUTE);
+  scheduler.replace('tick', [{ id: 'tick:done', dueAt: new Date() }, { id: 'tick:later', dueAt: later }]);
+  scheduler.replace('tick', [{ id: 'tick:done', dueAt: new Date() }]);
+  await delay(50);
+
+  const jobs = scheduler.list((job) => job.type === 'tick');
+  assert.deepStrictEqual(jobs.map((job) => [job.id, job.status]), [['tick:done', 'done']]);
+  assert.strictEqual(runs, 1);
+});
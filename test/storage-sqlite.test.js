@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { openSqliteBackend } = require('../storage-sqlite');
+
+const KEYS = { items: (item) => item.id };
+
+function withDatabase(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'badly-sqlite-'));
+  const file = path.join(dir, 'test.sqlite');
+  try {
+    run(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('records survive a reopen, in insertion order', () => {
+  withDatabase((file) => {
+    const db = openSqliteBackend(file, KEYS);
+    db.write('items', [{ id: 'b', n: 1 }, { id: 'a', n: 2 }]);
+    db.close();
+
+    const reopened = openSqliteBackend(file, KEYS);
+    assert.deepStrictEqual(reopened.read('items'), [{ id: 'b', n: 1 }, { id: 'a', n: 2 }]);
+    reopened.close();
+  });
+});
+
+test('a write only keeps the records it is given', () => {
+  withDatabase((file) => {
+    const db = openSqliteBackend(file, KEYS);
+    db.write('items', [{ id: 'a', n: 1 }, { id: 'b', n: 2 }]);
+    db.write('items', [{ id: 'b', n: 3 }]);
+    db.close();
+
+    const reopened = openSqliteBackend(file, KEYS);
+    assert.deepStrictEqual(reopened.read('items'), [{ id: 'b', n: 3 }]);
+    assert.strictEqual(reopened.count('items'), 1);
+    reopened.close();
+  });
+});
+
+test('a duplicate key throws and leaves the stored records untouched', () => {
+  withDatabase((file) => {
+    const db = openSqliteBackend(file, KEYS);
+    db.write('items', [{ id: 'a' }]);
+    assert.throws(() => db.write('items', [{ id: 'b' }, { id: 'b' }]), /Duplicate key in items: b/);
+    db.close();
+
+    const reopened = openSqliteBackend(file, KEYS);
+    assert.deepStrictEqual(reopened.read('items'), [{ id: 'a' }]);
+    reopened.close();
+  });
+});
+
+test('a missing or non-string key throws', () => {
+  withDatabase((file) => {
+    const db = openSqliteBackend(file, KEYS);
+    assert.throws(() => db.write('items', [{ name: 'no id' }]), /Invalid key in items/);
+    assert.throws(() => db.write('items', [{ id: 42 }]), /Invalid key in items/);
+    assert.throws(() => db.write('items', [{ id: '' }]), /Invalid key in items/);
+    assert.strictEqual(db.count('items'), 0);
+    db.close();
+  });
+});
+
+test('unknown collections and non-array contents are rejected', () => {
+  withDatabase((file) => {
+    const db = openSqliteBackend(file, KEYS);
+    assert.throws(() => db.read('others'), /Unknown collection: others/);
+    assert.throws(() => db.read('bad name'), /Invalid collection name/);
+    assert.throws(() => db.write('items', { id: 'a' }), /expected array/);
+    db.close();
+  });
+});